@@ -6,20 +6,42 @@
 class App {
     constructor() {
         this.isAdminMode = false;
+        this.permissions = Permissions.forUser(null);
         this.currentTab = 'photos';
         this.currentAlbum = null;
+        this.currentTag = null;
         this.currentLightboxIndex = 0;
         this.currentPhotos = [];
-        
-        // Hash the admin password (client-side only - NOT secure for real protection)
-        this.adminPasswordHash = null;
-        this.initAdminPasswordHash();
+        this.editingPhotoId = null;
+        this.isSelectingPhotos = false;
+        this.selectedPhotoIds = new Set();
+        this.lastSelectedPhotoId = null;
+        this.photoTransferMode = 'move';
+        this.coverEditor = null;
+        this.coverEssayId = null;
+        this.newAlbumParentId = null;
+        this.showPhotoInfo = false;
+        this.isBackfillingRenditions = false;
+        this.isRenditionBackfillQueued = false;
+        this.isBackfillingEssayContent = false;
+        this.isEssayContentBackfillQueued = false;
+        this.searchRequest = 0;
+        this.currentEssay = null;
+        this.isApplyingRoute = false;
+        this.importMode = 'replace';
+        this.mergePlan = null;
     }
 
-    async initAdminPasswordHash() {
-        // Hash the password "A21bcW34SamPinkWorld"
-        // NOTE: This is NOT real security - just client-side obfuscation
-        this.adminPasswordHash = await Utils.hashString('A21bcW34SamPinkWorld');
+    async initAuth() {
+        try {
+            // Admin mode follows the auth session, including one restored from a previous visit
+            auth.onChange(user => this.applyPermissions(user));
+            const user = await auth.init(AuthService.createProvider());
+            this.applyPermissions(user);
+        } catch (error) {
+            console.error('Failed to initialize authentication:', error);
+            this.applyPermissions(null);
+        }
     }
 
     async init() {
@@ -33,13 +55,21 @@ class App {
             // Load branding assets
             await this.loadBrandingAssets();
             
+            // Restore any admin session
+            await this.initAuth();
+            
             // Set up event listeners
             this.setupEventListeners();
             
-            // Load initial content
-            await this.loadCurrentTab();
+            // Restore the deep-linked view (tab, album, photo or essay) and follow back/forward
+            await this.applyRoute(router.getCurrentRoute(), true);
+            router.start(route => this.applyRoute(route));
             
             Utils.showToast('Welcome to Sam Pinkelman World!', 'success');
+            
+            // Generate thumbnails for older photos and extract essay text for search in the background
+            this.backfillRenditions();
+            this.backfillEssayContent();
         } catch (error) {
             console.error('Failed to initialize app:', error);
             Utils.showToast('Failed to initialize application', 'error');
@@ -110,9 +140,17 @@ class App {
         });
 
         // Admin login
-        document.getElementById('admin-btn').addEventListener('click', () => {
-            if (this.isAdminMode) {
-                this.toggleAdminMode(false);
+        document.getElementById('admin-btn').addEventListener('click', async () => {
+            if (auth.isSignedIn()) {
+                try {
+                    await auth.signOut();
+                    Utils.showToast('Signed out', 'success');
+                } catch (error) {
+                    console.error('Failed to sign out:', error);
+                    Utils.showToast('Failed to sign out', 'error');
+                }
+            } else if (!auth.isAvailable()) {
+                Utils.showToast('Sign-in is unavailable offline', 'error');
             } else {
                 Utils.showModal('admin-modal');
             }
@@ -121,16 +159,21 @@ class App {
         // Admin form
         document.getElementById('admin-form').addEventListener('submit', async (e) => {
             e.preventDefault();
+            const email = document.getElementById('admin-email').value.trim();
             const password = document.getElementById('admin-password').value;
-            const hashedInput = await Utils.hashString(password);
             
-            if (hashedInput === this.adminPasswordHash) {
-                this.toggleAdminMode(true);
+            try {
+                const user = await auth.signIn(email, password);
                 Utils.hideModal('admin-modal');
-                Utils.showToast('Admin mode enabled', 'success');
+                if (Permissions.forUser(user).canEditAnything()) {
+                    Utils.showToast('Admin mode enabled', 'success');
+                } else {
+                    Utils.showToast('Signed in with view-only access', 'info');
+                }
                 document.getElementById('admin-password').value = '';
-            } else {
-                Utils.showToast('Incorrect password', 'error');
+            } catch (error) {
+                console.error('Admin sign-in failed:', error);
+                Utils.showToast(AuthService.getErrorMessage(error), 'error');
             }
         });
 
@@ -138,7 +181,7 @@ class App {
         document.querySelectorAll('.close-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const modalId = e.target.dataset.modal;
-                Utils.hideModal(modalId);
+                this.closeModal(modalId);
             });
         });
 
@@ -146,7 +189,7 @@ class App {
         document.querySelectorAll('.modal').forEach(modal => {
             modal.addEventListener('click', (e) => {
                 if (e.target === modal) {
-                    modal.classList.remove('show');
+                    this.closeModal(modal.id);
                 }
             });
         });
@@ -163,36 +206,158 @@ class App {
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            // Escape to close modals
+            const openModals = document.querySelectorAll('.modal.show');
+            const topModalId = openModals.length > 0 ? openModals[openModals.length - 1].id : null;
+            
+            // Reader shortcuts: page turns, zoom and fit-to-width
+            if (topModalId === 'essay-reader-modal' && !e.target.closest('input, textarea, select') &&
+                !e.ctrlKey && !e.metaKey && !e.altKey && this.handleReaderKey(e.key)) {
+                e.preventDefault();
+                return;
+            }
+            
+            // In the gallery's selection mode, Escape leaves selection mode and Ctrl/Cmd+A selects every photo
+            if (topModalId === 'gallery-modal' && this.isSelectingPhotos) {
+                if (e.key === 'Escape') {
+                    this.setPhotoSelectionMode(false);
+                    return;
+                }
+                if (e.key === 'a' && (e.ctrlKey || e.metaKey) && !e.target.closest('input, textarea')) {
+                    e.preventDefault();
+                    this.selectAllPhotos();
+                    return;
+                }
+            }
+            
+            // Escape to close the topmost modal
             if (e.key === 'Escape') {
-                const openModal = document.querySelector('.modal.show');
-                if (openModal) {
-                    openModal.classList.remove('show');
+                if (openModals.length > 0) {
+                    this.closeModal(openModals[openModals.length - 1].id);
                 }
             }
         });
 
         // Set up specific tab event listeners
+        this.setupSearchEventListeners();
         this.setupPhotosEventListeners();
         this.setupEssaysEventListeners();
         this.setupVideosEventListeners();
         this.setupBrandingEventListeners();
     }
 
-    toggleAdminMode(enabled) {
-        this.isAdminMode = enabled;
-        document.body.classList.toggle('admin-mode', enabled);
+    /**
+     * Apply the signed-in user's role to the UI and the database layer
+     * @param {Object|null} user - User with role and sections, or null when signed out
+     */
+    applyPermissions(user) {
+        this.permissions = Permissions.forUser(user);
+        this.isAdminMode = this.permissions.canEditAnything();
+        db.setPermissions(this.permissions);
+        
+        // Queued uploads only run while someone who can add photos is signed in
+        if (this.permissions.can('photos:edit')) {
+            uploadQueue.start((item, onProgress) => this.uploadPhoto(item, onProgress), {
+                onChange: (items) => this.renderUploadPanel(items),
+                onIdle: (finished) => this.finishUploads(finished)
+            });
+        } else {
+            uploadQueue.stop();
+        }
+        
+        // Signed-in sessions lock themselves after inactivity or when they reach their maximum length
+        if (user) {
+            sessionLock.start(user, {
+                onTick: (remaining) => this.updateSessionStatus(remaining),
+                onLock: (reason) => this.lockSession(reason)
+            });
+        } else {
+            sessionLock.stop();
+            document.getElementById('session-status').hidden = true;
+        }
+        
+        // admin-mode reveals editing controls; can-* classes narrow them to what the role allows
+        document.body.classList.toggle('admin-mode', this.isAdminMode);
+        Permissions.getActions().forEach(action => {
+            document.body.classList.toggle(`can-${action.replace(':', '-')}`, this.permissions.can(action));
+        });
         
         const adminBtn = document.getElementById('admin-btn');
-        adminBtn.textContent = enabled ? 'Exit Admin' : 'Admin';
+        adminBtn.textContent = user ? 'Exit Admin' : 'Admin';
+        adminBtn.title = user ? `Signed in as ${user.email} (${this.permissions.role})` : '';
         
-        if (enabled) {
+        if (user) {
             adminBtn.classList.add('danger');
         } else {
             adminBtn.classList.remove('danger');
         }
     }
 
+    updateSessionStatus(remaining) {
+        const status = document.getElementById('session-status');
+        status.hidden = false;
+        status.textContent = `Locks in ${SessionLock.formatRemaining(remaining)}`;
+        status.classList.toggle('warning', remaining <= 60000);
+    }
+
+    async lockSession(reason) {
+        ['branding-modal', 'album-modal', 'add-video-modal'].forEach(modalId => {
+            Utils.hideModal(modalId);
+        });
+        
+        // Cancel a pending password prompt so the action waiting on it gives up
+        if (this.isModalOpen('reauth-modal')) {
+            document.getElementById('reauth-cancel').click();
+        }
+        
+        try {
+            await auth.signOut();
+        } catch (error) {
+            console.error('Failed to sign out locked session:', error);
+            this.applyPermissions(null);
+        }
+        
+        const message = reason === 'idle'
+            ? 'Admin session locked after inactivity'
+            : 'Admin session expired. Sign in again to continue';
+        Utils.showToast(message, 'info', 6000);
+    }
+
+    /**
+     * Ask for the password again before a destructive action. There is no grace period after
+     * signing in, so someone who reaches an unattended session still cannot delete or replace data.
+     * @param {string} message - What the password is needed for
+     * @returns {Promise<boolean>} - True if the action may go ahead
+     */
+    async confirmIdentity(message) {
+        const password = await Utils.showPasswordPrompt(message);
+        if (!password) {
+            return false;
+        }
+        
+        try {
+            await auth.reauthenticate(password);
+            return true;
+        } catch (error) {
+            console.error('Re-authentication failed:', error);
+            Utils.showToast(AuthService.getErrorMessage(error), 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Check a permission before running an action handler, telling the user if it is not allowed
+     * @param {string} action - Action such as 'photos:edit'
+     * @returns {boolean} - True if allowed
+     */
+    requirePermission(action) {
+        if (this.permissions.can(action)) {
+            return true;
+        }
+        
+        Utils.showToast(`Your role does not allow you to ${Permissions.describe(action)}`, 'error');
+        return false;
+    }
+
     async switchTab(tabName) {
         // Update active tab button
         document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -205,9 +370,284 @@ class App {
         });
 
         this.currentTab = tabName;
+        this.syncRoute();
         await this.loadCurrentTab();
     }
 
+    // Routing
+    isModalOpen(modalId) {
+        const modal = document.getElementById(modalId);
+        return !!modal && modal.classList.contains('show');
+    }
+
+    closeModal(modalId) {
+        Utils.hideModal(modalId);
+        
+        if (modalId === 'essay-reader-modal') {
+            this.closeEssayReader();
+        }
+        
+        if (modalId === 'gallery-modal') {
+            this.setPhotoSelectionMode(false);
+        }
+        
+        this.syncRoute();
+    }
+
+    getRouteFromState() {
+        const route = { tab: this.currentTab };
+        
+        if (this.currentTab === 'photos' && (this.currentAlbum || this.currentTag) && this.isModalOpen('gallery-modal')) {
+            if (this.currentAlbum) {
+                route.albumId = this.currentAlbum.id;
+            } else {
+                route.tag = this.currentTag;
+            }
+            if (this.isModalOpen('lightbox-modal')) {
+                route.photoIndex = this.currentLightboxIndex;
+            }
+        }
+        
+        if (this.currentTab === 'essays' && this.currentEssay && this.isModalOpen('essay-reader-modal')) {
+            route.essayId = this.currentEssay.id;
+        }
+        
+        return route;
+    }
+
+    syncRoute(replace = false) {
+        // State changes made while restoring a route must not push new history entries
+        if (this.isApplyingRoute) return;
+        router.navigate(this.getRouteFromState(), replace);
+    }
+
+    async applyRoute(route, forceLoad = false) {
+        this.isApplyingRoute = true;
+        
+        try {
+            if (forceLoad || route.tab !== this.currentTab) {
+                await this.switchTab(route.tab);
+            }
+            
+            // Photos: album or tag gallery, and lightbox
+            if (route.tag !== null) {
+                const tagGalleryOpen = this.isModalOpen('gallery-modal') && !this.currentAlbum &&
+                    this.currentTag === route.tag;
+                
+                if (!tagGalleryOpen) {
+                    await this.openTagGallery(route.tag);
+                }
+            } else if (route.albumId !== null) {
+                const galleryOpen = this.isModalOpen('gallery-modal') &&
+                    this.currentAlbum && this.currentAlbum.id === route.albumId;
+                
+                if (!galleryOpen) {
+                    await this.openGallery(route.albumId);
+                }
+            } else {
+                Utils.hideModal('gallery-modal');
+            }
+            
+            if (route.photoIndex !== null && this.isModalOpen('gallery-modal') && this.currentPhotos.length > 0) {
+                this.openLightbox(Math.min(route.photoIndex, this.currentPhotos.length - 1));
+            } else {
+                Utils.hideModal('lightbox-modal');
+            }
+            
+            // Essays: reader
+            if (route.essayId !== null) {
+                if (!this.currentEssay || this.currentEssay.id !== route.essayId || !this.isModalOpen('essay-reader-modal')) {
+                    const essays = await db.getAllEssays();
+                    const essay = essays.find(e => e.id === route.essayId);
+                    
+                    if (essay) {
+                        this.openEssay(essay);
+                    } else {
+                        Utils.showToast('Essay not found', 'error');
+                    }
+                }
+            } else {
+                Utils.hideModal('essay-reader-modal');
+                this.closeEssayReader();
+            }
+        } catch (error) {
+            console.error('Failed to restore route:', error);
+        } finally {
+            this.isApplyingRoute = false;
+        }
+        
+        // Normalise the hash when the link pointed at something that no longer exists
+        this.syncRoute(true);
+    }
+
+    // Search
+    setupSearchEventListeners() {
+        const form = document.getElementById('search-form');
+        const input = document.getElementById('search-input');
+        const results = document.getElementById('search-results');
+        
+        input.addEventListener('input', Utils.debounce(() => this.runSearch(input.value), 200));
+        input.addEventListener('focus', () => {
+            if (input.value.trim()) this.runSearch(input.value);
+        });
+        
+        // Enter opens the first result
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const first = results.querySelector('.search-result');
+            if (first) first.click();
+        });
+        
+        form.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                input.value = '';
+                this.hideSearchResults();
+                input.focus();
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                const items = [input, ...results.querySelectorAll('.search-result')];
+                const index = items.indexOf(document.activeElement);
+                if (index === -1 || items.length === 1) return;
+                
+                e.preventDefault();
+                const next = e.key === 'ArrowDown' ? Math.min(index + 1, items.length - 1) : Math.max(index - 1, 0);
+                items[next].focus();
+            }
+        });
+        
+        results.addEventListener('click', (e) => {
+            const result = e.target.closest('.search-result');
+            if (result) {
+                this.openSearchResult(result.dataset.type, router.parseId(result.dataset.id),
+                    router.parseId(result.dataset.albumId));
+            }
+        });
+        
+        // Clicking anywhere else closes the results
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#search-form')) {
+                this.hideSearchResults();
+            }
+        });
+    }
+
+    async runSearch(query) {
+        const request = ++this.searchRequest;
+        
+        if (!query.trim()) {
+            this.hideSearchResults();
+            return;
+        }
+        
+        try {
+            const [results, albums] = await Promise.all([db.search(query), db.getAllAlbums()]);
+            
+            // Ignore results for a query that has since changed
+            if (request === this.searchRequest) {
+                this.renderSearchResults(results, albums);
+            }
+        } catch (error) {
+            console.error('Search failed:', error);
+            Utils.showToast('Search failed', 'error');
+        }
+    }
+
+    /**
+     * Show search results grouped by type
+     * @param {Object} results - { albums, photos, essays, videos } from Database.search
+     * @param {Array<Object>} albums - All albums, to say which album each photo is in
+     */
+    renderSearchResults(results, albums) {
+        const container = document.getElementById('search-results');
+        const albumNames = new Map(albums.map(album => [album.id, album.name]));
+        const groups = [
+            { type: 'album', label: 'Albums', items: results.albums },
+            { type: 'photo', label: 'Photos', items: results.photos },
+            { type: 'essay', label: 'Essays', items: results.essays },
+            { type: 'video', label: 'Videos', items: results.videos }
+        ].filter(group => group.items.length > 0);
+        
+        if (groups.length === 0) {
+            container.innerHTML = '<p class="search-empty">No matches</p>';
+        } else {
+            container.innerHTML = groups.map(group => `
+                <section class="search-group">
+                    <h3 class="search-group-title">${group.label}</h3>
+                    ${group.items.map(item => {
+                        const context = group.type === 'photo' && albumNames.has(item.albumId)
+                            ? `<span class="search-result-context">in ${Utils.escapeHtml(albumNames.get(item.albumId))}</span>`
+                            : '';
+                        const snippet = item.snippet && item.snippet !== item.title
+                            ? `<span class="search-result-snippet">${Utils.escapeHtml(item.snippet)}</span>`
+                            : '';
+                        return `
+                            <button type="button" class="search-result" data-type="${group.type}" data-id="${item.id}" data-album-id="${item.albumId || ''}">
+                                <span class="search-result-title">${Utils.escapeHtml(item.title)}</span>
+                                ${context}
+                                ${snippet}
+                            </button>
+                        `;
+                    }).join('')}
+                </section>
+            `).join('');
+        }
+        
+        container.hidden = false;
+    }
+
+    hideSearchResults() {
+        // Also drops any search still in flight
+        this.searchRequest++;
+        document.getElementById('search-results').hidden = true;
+    }
+
+    /**
+     * Open the gallery, photo, essay or video behind a search result
+     * @param {string} type - 'album', 'photo', 'essay' or 'video'
+     * @param {number} id - Record ID
+     * @param {number} albumId - Album of a photo result
+     */
+    async openSearchResult(type, id, albumId) {
+        this.hideSearchResults();
+        
+        try {
+            let route;
+            switch (type) {
+                case 'album':
+                    route = { tab: 'photos', albumId: id };
+                    break;
+                case 'photo': {
+                    const photos = await db.getPhotosByAlbum(albumId);
+                    const photoIndex = photos.findIndex(photo => photo.id === id);
+                    route = { tab: 'photos', albumId, photoIndex: photoIndex === -1 ? null : photoIndex };
+                    break;
+                }
+                case 'essay':
+                    route = { tab: 'essays', essayId: id };
+                    break;
+                default:
+                    route = { tab: 'video' };
+            }
+            
+            // Same as following a link, so Back returns to where the search started
+            router.navigate(route);
+            await this.applyRoute(router.getCurrentRoute());
+            
+            if (type === 'video') {
+                const card = document.querySelector(`#videos-container .video-card[data-id="${id}"]`);
+                if (card) {
+                    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    card.classList.add('search-highlight');
+                    setTimeout(() => card.classList.remove('search-highlight'), 2000);
+                } else {
+                    Utils.showToast('Video not found', 'error');
+                }
+            }
+        } catch (error) {
+            console.error('Failed to open search result:', error);
+            Utils.showToast('Failed to open search result', 'error');
+        }
+    }
+
     async loadCurrentTab() {
         switch (this.currentTab) {
             case 'photos':
@@ -226,18 +666,28 @@ class App {
     setupPhotosEventListeners() {
         // Create album
         document.getElementById('create-album-btn').addEventListener('click', () => {
-            Utils.showModal('album-modal');
+            this.openAlbumForm(null);
+        });
+
+        document.getElementById('create-subalbum-btn').addEventListener('click', () => {
+            if (this.currentAlbum) {
+                this.openAlbumForm(this.currentAlbum);
+            }
         });
 
         document.getElementById('album-form').addEventListener('submit', async (e) => {
             e.preventDefault();
             const albumName = document.getElementById('album-name').value.trim();
             
-            if (albumName) {
+            if (albumName && this.requirePermission('photos:edit')) {
                 try {
-                    await db.createAlbum(albumName);
+                    const parentId = this.newAlbumParentId;
+                    await db.createAlbum(albumName, parentId);
                     Utils.hideModal('album-modal');
                     document.getElementById('album-name').value = '';
+                    if (parentId !== null && this.currentAlbum && this.currentAlbum.id === parentId) {
+                        await this.openGallery(parentId);
+                    }
                     await this.loadPhotosTab();
                     Utils.showToast('Album created successfully', 'success');
                 } catch (error) {
@@ -249,6 +699,7 @@ class App {
 
         // Gallery controls
         document.getElementById('add-photos-btn').addEventListener('click', () => {
+            if (!this.requirePermission('photos:edit')) return;
             document.getElementById('photos-file-input').click();
         });
 
@@ -261,7 +712,7 @@ class App {
         });
 
         document.getElementById('rename-album-btn').addEventListener('click', async () => {
-            if (!this.currentAlbum) return;
+            if (!this.currentAlbum || !this.requirePermission('photos:edit')) return;
             
             const newName = prompt('Enter new album name:', this.currentAlbum.name);
             if (newName && newName.trim()) {
@@ -278,28 +729,154 @@ class App {
             }
         });
 
-        document.getElementById('delete-album-btn').addEventListener('click', async () => {
-            if (!this.currentAlbum) return;
+        document.getElementById('delete-album-btn').addEventListener('click', () => {
+            this.deleteCurrentAlbum();
+        });
+
+        document.getElementById('move-album-btn').addEventListener('click', () => {
+            this.openAlbumMove();
+        });
+
+        document.getElementById('album-move-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.moveCurrentAlbum();
+        });
+
+        document.getElementById('export-album-btn').addEventListener('click', () => {
+            this.exportCurrentAlbum();
+        });
+
+        // Breadcrumbs: "Photos" closes the gallery, an album name opens that album
+        document.getElementById('gallery-breadcrumbs').addEventListener('click', (e) => {
+            const link = e.target.closest('.breadcrumb-link');
+            if (!link) return;
             
-            const confirmed = await Utils.showConfirm(
-                `Are you sure you want to delete "${this.currentAlbum.name}" and all its photos?`,
-                'Delete Album'
-            );
+            if (link.dataset.albumId) {
+                this.openGallery(router.parseId(link.dataset.albumId));
+            } else {
+                this.closeModal('gallery-modal');
+            }
+        });
+
+        // Photo details
+        document.getElementById('photo-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.savePhotoDetails();
+        });
+
+        document.getElementById('sort-by-date-btn').addEventListener('click', () => {
+            this.sortAlbumByDate();
+        });
+
+        // Drag and drop uploads
+        this.setupDropZones();
+
+        // Drag-to-reorder
+        this.setupSortables();
+
+        // Album cover
+        const focusPicker = document.getElementById('cover-focus-picker');
+        focusPicker.addEventListener('click', (e) => {
+            const rect = document.getElementById('cover-focus-image').getBoundingClientRect();
+            this.setCoverFocus({
+                x: (e.clientX - rect.left) / rect.width * 100,
+                y: (e.clientY - rect.top) / rect.height * 100
+            });
+        });
+
+        focusPicker.addEventListener('keydown', (e) => {
+            const steps = { ArrowLeft: [-5, 0], ArrowRight: [5, 0], ArrowUp: [0, -5], ArrowDown: [0, 5] };
+            if (!steps[e.key] || !this.coverEditor) return;
             
-            if (confirmed) {
-                try {
-                    await db.deleteAlbum(this.currentAlbum.id);
-                    Utils.hideModal('gallery-modal');
-                    await this.loadPhotosTab();
-                    Utils.showToast('Album deleted successfully', 'success');
-                } catch (error) {
-                    console.error('Failed to delete album:', error);
-                    Utils.showToast('Failed to delete album', 'error');
+            e.preventDefault();
+            const [dx, dy] = steps[e.key];
+            const { x, y } = this.coverEditor.focus;
+            this.setCoverFocus({ x: x + dx, y: y + dy });
+        });
+
+        document.getElementById('cover-save-btn').addEventListener('click', () => {
+            this.saveAlbumCover();
+        });
+
+        document.getElementById('cover-reset-btn').addEventListener('click', () => {
+            this.resetAlbumCover();
+        });
+
+        // Photo selection and bulk actions
+        document.getElementById('select-photos-btn').addEventListener('click', () => {
+            if (!this.requirePermission('photos:edit')) return;
+            this.setPhotoSelectionMode(!this.isSelectingPhotos);
+        });
+
+        document.getElementById('select-all-btn').addEventListener('click', () => {
+            this.selectAllPhotos();
+        });
+
+        document.getElementById('select-none-btn').addEventListener('click', () => {
+            this.selectedPhotoIds.clear();
+            this.updatePhotoSelection();
+        });
+
+        document.getElementById('selection-done-btn').addEventListener('click', () => {
+            this.setPhotoSelectionMode(false);
+        });
+
+        document.getElementById('download-selected-btn').addEventListener('click', () => {
+            this.downloadSelectedPhotos();
+        });
+
+        document.getElementById('move-selected-btn').addEventListener('click', () => {
+            this.openPhotoTransfer('move');
+        });
+
+        document.getElementById('copy-selected-btn').addEventListener('click', () => {
+            this.openPhotoTransfer('copy');
+        });
+
+        document.getElementById('delete-selected-btn').addEventListener('click', () => {
+            this.deleteSelectedPhotos();
+        });
+
+        document.getElementById('photo-transfer-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.transferSelectedPhotos();
+        });
+
+        document.getElementById('tag-selected-btn').addEventListener('click', () => {
+            this.tagSelectedPhotos();
+        });
+
+        // Tags: chips in the lightbox and on the photos tab open a gallery of every photo with that tag
+        ['lightbox-tags', 'photo-tag-browser'].forEach(id => {
+            document.getElementById(id).addEventListener('click', (e) => {
+                const chip = e.target.closest('.tag-chip');
+                if (chip) {
+                    this.openTagGallery(chip.dataset.tag);
                 }
-            }
+            });
+        });
+
+        // Upload panel
+        document.getElementById('upload-retry-btn').addEventListener('click', () => {
+            uploadQueue.retryFailed();
+        });
+
+        document.getElementById('upload-clear-btn').addEventListener('click', () => {
+            uploadQueue.clearFinished();
+        });
+
+        document.getElementById('upload-toggle-btn').addEventListener('click', (e) => {
+            const collapsed = document.getElementById('upload-panel').classList.toggle('collapsed');
+            e.currentTarget.textContent = collapsed ? 'Show' : 'Hide';
+            e.currentTarget.setAttribute('aria-expanded', String(!collapsed));
         });
 
         // Lightbox controls
+        document.getElementById('lightbox-info-btn').addEventListener('click', () => {
+            this.showPhotoInfo = !this.showPhotoInfo;
+            this.updateLightboxExif(this.currentPhotos[this.currentLightboxIndex]);
+        });
+
         document.getElementById('lightbox-prev').addEventListener('click', () => {
             this.showPreviousPhoto();
         });
@@ -330,6 +907,8 @@ class App {
             const albums = await db.getAllAlbums();
             const albumsGrid = document.getElementById('albums-grid');
             
+            await this.renderTagBrowser();
+            
             if (albums.length === 0) {
                 albumsGrid.innerHTML = '<p class="empty-state">No albums yet. Create your first album!</p>';
                 return;
@@ -337,10 +916,9 @@ class App {
 
             albumsGrid.innerHTML = '';
             
-            for (const album of albums) {
-                const photos = await db.getPhotosByAlbum(album.id);
-                const albumCard = await this.createAlbumCard(album, photos);
-                albumsGrid.appendChild(albumCard);
+            // Sub-albums are shown inside their parent's gallery
+            for (const album of Database.getChildAlbums(albums, null)) {
+                albumsGrid.appendChild(await this.createAlbumCard(album, albums));
             }
         } catch (error) {
             console.error('Failed to load photos tab:', error);
@@ -348,24 +926,29 @@ class App {
         }
     }
 
-    async createAlbumCard(album, photos) {
+    /**
+     * @param {Object} album - Album to show
+     * @param {Array<Object>} albums - All albums, to count sub-albums and borrow a cover from them
+     */
+    async createAlbumCard(album, albums) {
         const card = document.createElement('div');
-        card.className = 'album-card';
+        card.className = 'album-card sortable-item';
         card.dataset.id = album.id;
+        card.dataset.label = album.name;
         
-        // Get cover photo (deterministic random selection)
-        let coverPhotoUrl = '';
-        if (photos.length > 0) {
-            const coverPhoto = Utils.seededRandomChoice(photos, album.id);
-            if (coverPhoto) {
-                coverPhotoUrl = Utils.createObjectURL(coverPhoto.blob);
-            }
-        }
+        const subAlbumCount = Database.getChildAlbums(albums, album.id).length;
+        const cover = this.getAlbumCover(album, await this.getAlbumCardPhotos(album, albums));
+        const coverPhotoUrl = cover.photo ? Utils.createObjectURL(db.getRendition(cover.photo, 'thumb')) : '';
+        const coverStyle = cover.focus ? ` style="object-position: ${cover.focus.x}% ${cover.focus.y}%"` : '';
         
         card.innerHTML = `
-            ${coverPhotoUrl ? `<img src="${coverPhotoUrl}" alt="${album.name}" class="album-cover">` : ''}
-            <div class="album-name">${Utils.escapeHtml(album.name)}</div>
+            ${coverPhotoUrl ? `<img src="${coverPhotoUrl}" alt="${Utils.escapeHtml(album.name)}" class="album-cover"${coverStyle}>` : ''}
+            <div class="album-name">
+                ${Utils.escapeHtml(album.name)}
+                ${subAlbumCount > 0 ? `<span class="album-meta">${subAlbumCount} ${subAlbumCount === 1 ? 'album' : 'albums'}</span>` : ''}
+            </div>
             <div class="album-admin-controls">
+                <button class="admin-control-btn sort-handle" title="Drag to reorder, or press Space and use the arrow keys" aria-label="Reorder ${Utils.escapeHtml(album.name)}">⠿</button>
                 <button class="admin-control-btn" onclick="app.openGallery(${album.id})" title="Edit">✏️</button>
             </div>
         `;
@@ -377,8 +960,37 @@ class App {
         return card;
     }
 
+    /**
+     * The photo shown on an album's card: the chosen cover if it is still in the album,
+     * otherwise a deterministic random pick
+     * @returns {Object} - { photo, focus } where focus is { x, y } in percent, or null
+     */
+    getAlbumCover(album, photos) {
+        const chosen = album.coverPhotoUid && photos.find(photo => photo.uid === album.coverPhotoUid);
+        if (chosen) {
+            return { photo: chosen, focus: album.coverFocus || null };
+        }
+        return { photo: photos.length > 0 ? Utils.seededRandomChoice(photos, album.id) : null, focus: null };
+    }
+
+    /**
+     * Photos to pick an album's cover from: its own, or for an album holding only sub-albums,
+     * those of the first sub-album (at any depth) that has some
+     */
+    async getAlbumCardPhotos(album, albums) {
+        for (const id of [album.id, ...Database.getDescendantIds(albums, album.id)]) {
+            const photos = await db.getPhotosByAlbum(id);
+            if (photos.length > 0) return photos;
+        }
+        return [];
+    }
+
     async openGallery(albumId) {
         try {
+            if (!this.currentAlbum || this.currentAlbum.id !== albumId) {
+                this.setPhotoSelectionMode(false);
+            }
+            
             const albums = await db.getAllAlbums();
             this.currentAlbum = albums.find(a => a.id === albumId);
             
@@ -387,92 +999,1046 @@ class App {
                 return;
             }
             
+            this.currentTag = null;
+            document.getElementById('gallery-modal').classList.remove('tag-gallery');
             document.getElementById('gallery-title').textContent = this.currentAlbum.name;
+            this.renderBreadcrumbs(Database.getAlbumPath(albums, albumId).slice(0, -1));
+            
+            // Sub-albums
+            const subAlbums = Database.getChildAlbums(albums, albumId);
+            const subAlbumsGrid = document.getElementById('subalbums-grid');
+            subAlbumsGrid.innerHTML = '';
+            subAlbumsGrid.hidden = subAlbums.length === 0;
+            for (const subAlbum of subAlbums) {
+                subAlbumsGrid.appendChild(await this.createAlbumCard(subAlbum, albums));
+            }
             
             const photos = await db.getPhotosByAlbum(albumId);
-            this.currentPhotos = photos;
+            this.renderGalleryPhotos(photos, subAlbums.length > 0 ? '' : 'No photos in this album yet.');
             
-            const galleryGrid = document.getElementById('gallery-grid');
+            // Forget selected photos that are no longer in the album
+            const photoIds = new Set(photos.map(photo => photo.id));
+            this.selectedPhotoIds.forEach(id => {
+                if (!photoIds.has(id)) this.selectedPhotoIds.delete(id);
+            });
+            this.updatePhotoSelection();
             
-            if (photos.length === 0) {
-                galleryGrid.innerHTML = '<p class="empty-state">No photos in this album yet.</p>';
-            } else {
-                galleryGrid.innerHTML = '';
-                
-                photos.forEach((photo, index) => {
-                    const photoItem = document.createElement('div');
-                    photoItem.className = 'gallery-item';
-                    
-                    const photoUrl = Utils.createObjectURL(photo.blob);
-                    photoItem.innerHTML = `
-                        <img src="${photoUrl}" alt="Photo ${index + 1}" loading="lazy">
-                        ${this.isAdminMode ? `<button class="admin-control-btn" onclick="app.removePhoto(${photo.id})" title="Remove">🗑️</button>` : ''}
-                    `;
-                    
-                    photoItem.addEventListener('click', () => {
-                        this.openLightbox(index);
-                    });
-                    
-                    galleryGrid.appendChild(photoItem);
-                });
-            }
+            Utils.showModal('gallery-modal');
+            this.syncRoute();
+        } catch (error) {
+            console.error('Failed to open gallery:', error);
+            Utils.showToast('Failed to open gallery', 'error');
+        }
+    }
+
+    /**
+     * Open a gallery of every photo with a tag, across all albums. It works like an album
+     * gallery (lightbox, editing details) but has no album to add to, reorder or select in.
+     * @param {string} tag - Tag to show
+     */
+    async openTagGallery(tag) {
+        try {
+            this.setPhotoSelectionMode(false);
+            
+            const photos = await db.getPhotosByTag(tag);
+            this.currentAlbum = null;
+            this.currentTag = Database.normalizeTags([tag])[0] || tag;
+            
+            document.getElementById('gallery-modal').classList.add('tag-gallery');
+            document.getElementById('gallery-title').textContent = `Tagged "${this.currentTag}"`;
+            this.renderBreadcrumbs([]);
             
+            const subAlbumsGrid = document.getElementById('subalbums-grid');
+            subAlbumsGrid.innerHTML = '';
+            subAlbumsGrid.hidden = true;
+            
+            this.renderGalleryPhotos(photos, 'No photos have this tag.');
+            
+            Utils.hideModal('lightbox-modal');
             Utils.showModal('gallery-modal');
+            this.syncRoute();
+        } catch (error) {
+            console.error('Failed to open tag gallery:', error);
+            Utils.showToast('Failed to open gallery', 'error');
+        }
+    }
+
+    /**
+     * List every photo tag on the photos tab, with how many photos have it
+     */
+    async renderTagBrowser() {
+        const browser = document.getElementById('photo-tag-browser');
+        
+        try {
+            const tags = await db.getPhotoTags();
+            browser.hidden = tags.length === 0;
+            browser.innerHTML = tags.map(({ tag, count }) => this.createTagChip(tag, count)).join('');
+        } catch (error) {
+            console.error('Failed to load tags:', error);
+            browser.hidden = true;
+        }
+    }
+
+    createTagChip(tag, count = null) {
+        const name = Utils.escapeHtml(tag);
+        const countBadge = count === null ? '' : ` <span class="tag-count">${count}</span>`;
+        return `<button class="tag-chip" data-tag="${name}" title="Show all photos tagged &quot;${name}&quot;">#${name}${countBadge}</button>`;
+    }
+
+    /**
+     * Reload whichever gallery is open after its photos change
+     */
+    async refreshGallery() {
+        if (this.currentAlbum) {
+            await this.openGallery(this.currentAlbum.id);
+        } else if (this.currentTag) {
+            await this.openTagGallery(this.currentTag);
+        }
+    }
+
+    /**
+     * Fill the gallery grid with photo tiles and make them the lightbox's photos
+     * @param {Array<Object>} photos - Photos in display order
+     * @param {string} emptyMessage - Shown when there are no photos ('' shows nothing)
+     */
+    renderGalleryPhotos(photos, emptyMessage) {
+        this.currentPhotos = photos;
+        
+        const galleryGrid = document.getElementById('gallery-grid');
+        galleryGrid.innerHTML = '';
+        
+        if (photos.length === 0) {
+            if (emptyMessage) {
+                galleryGrid.innerHTML = `<p class="empty-state">${Utils.escapeHtml(emptyMessage)}</p>`;
+            }
+            return;
+        }
+        
+        // Album galleries can be reordered and have a cover; tag galleries span albums
+        const album = this.currentAlbum;
+        
+        photos.forEach((photo, index) => {
+            const photoItem = document.createElement('div');
+            photoItem.className = 'gallery-item sortable-item';
+            photoItem.classList.toggle('is-cover', Boolean(album) && photo.uid === album.coverPhotoUid);
+            photoItem.dataset.id = photo.id;
+            photoItem.dataset.label = photo.title || `Photo ${index + 1}`;
+            
+            const photoUrl = Utils.createObjectURL(db.getRendition(photo, 'thumb'));
+            photoItem.innerHTML = `
+                <img src="${photoUrl}" alt="${Utils.escapeHtml(this.getPhotoAlt(photo, index))}" loading="lazy">
+                ${this.permissions.can('photos:edit') ? `
+                    <div class="photo-admin-controls">
+                        ${album ? `
+                            <button class="admin-control-btn sort-handle" title="Drag to reorder, or press Space and use the arrow keys" aria-label="Reorder ${Utils.escapeHtml(photoItem.dataset.label)}">⠿</button>
+                            <button class="admin-control-btn" onclick="event.stopPropagation(); app.openCoverEditor(${photo.id})" title="Set as album cover">★</button>
+                        ` : ''}
+                        <button class="admin-control-btn" onclick="event.stopPropagation(); app.editPhoto(${photo.id})" title="Edit details">✏️</button>
+                        <button class="admin-control-btn" onclick="event.stopPropagation(); app.removePhoto(${photo.id})" title="Remove">🗑️</button>
+                    </div>
+                ` : ''}
+            `;
+            
+            // Look the index up on click, since the photos may have been reordered since.
+            // Shift or Ctrl/Cmd-click starts selecting; in selection mode every click selects.
+            photoItem.addEventListener('click', (e) => {
+                const modifier = e.shiftKey || e.ctrlKey || e.metaKey;
+                if (album && (this.isSelectingPhotos || (modifier && this.permissions.can('photos:edit')))) {
+                    this.selectPhoto(photo.id, e);
+                    return;
+                }
+                this.openLightbox(this.currentPhotos.findIndex(p => p.id === photo.id));
+            });
+            
+            galleryGrid.appendChild(photoItem);
+        });
+    }
+
+    /**
+     * Show the albums above the open one as links, starting from the photos tab
+     * @param {Array<Object>} ancestors - Parent albums, outermost first
+     */
+    renderBreadcrumbs(ancestors) {
+        const breadcrumbs = document.getElementById('gallery-breadcrumbs');
+        breadcrumbs.hidden = ancestors.length === 0;
+        breadcrumbs.innerHTML = [
+            '<button class="breadcrumb-link">Photos</button>',
+            ...ancestors.map(album => `<button class="breadcrumb-link" data-album-id="${album.id}">${Utils.escapeHtml(album.name)}</button>`)
+        ].join('<span class="breadcrumb-separator" aria-hidden="true">›</span>');
+    }
+
+    /**
+     * Open the album form for a new top-level album, or a sub-album of parent
+     */
+    openAlbumForm(parent) {
+        if (!this.requirePermission('photos:edit')) return;
+        
+        this.newAlbumParentId = parent ? parent.id : null;
+        document.getElementById('album-modal-title').textContent = parent
+            ? `New Album in "${parent.name}"`
+            : 'Create Album';
+        Utils.showModal('album-modal');
+    }
+
+    async openAlbumMove() {
+        if (!this.currentAlbum || !this.requirePermission('photos:edit')) return;
+        
+        try {
+            const albums = await db.getAllAlbums();
+            const excluded = new Set([this.currentAlbum.id, ...Database.getDescendantIds(albums, this.currentAlbum.id)]);
+            const currentParent = Database.getAlbumPath(albums, this.currentAlbum.id).slice(-2, -1)[0];
+            
+            // List every album it could go into by its full path, in tree order
+            const select = document.getElementById('album-move-parent');
+            select.innerHTML = '';
+            select.appendChild(new Option('Top level (Photos tab)', ''));
+            
+            const addOptions = (parentId) => {
+                Database.getChildAlbums(albums, parentId).forEach(album => {
+                    if (excluded.has(album.id)) return;
+                    const path = Database.getAlbumPath(albums, album.id).map(a => a.name).join(' › ');
+                    select.appendChild(new Option(path, album.id));
+                    addOptions(album.id);
+                });
+            };
+            addOptions(null);
+            
+            select.value = currentParent ? String(currentParent.id) : '';
+            document.getElementById('album-move-title').textContent = `Move "${this.currentAlbum.name}"`;
+            Utils.showModal('album-move-modal');
+        } catch (error) {
+            console.error('Failed to load albums:', error);
+            Utils.showToast('Failed to load albums', 'error');
+        }
+    }
+
+    async moveCurrentAlbum() {
+        if (!this.currentAlbum || !this.requirePermission('photos:edit')) return;
+        
+        const value = document.getElementById('album-move-parent').value;
+        const parentId = value === '' ? null : router.parseId(value);
+        
+        try {
+            await db.moveAlbum(this.currentAlbum.id, parentId);
+            Utils.hideModal('album-move-modal');
+            await this.openGallery(this.currentAlbum.id);
+            await this.loadPhotosTab();
+            Utils.showToast('Album moved successfully', 'success');
+        } catch (error) {
+            console.error('Failed to move album:', error);
+            Utils.showToast(error.code === 'invalid-parent' ? error.message : 'Failed to move album', 'error');
+        }
+    }
+
+    /**
+     * Delete the open album with its sub-albums and photos, then show its parent (if any)
+     */
+    async deleteCurrentAlbum() {
+        if (!this.currentAlbum || !this.requirePermission('photos:edit')) return;
+        
+        const album = this.currentAlbum;
+        const albums = await db.getAllAlbums();
+        const descendantIds = Database.getDescendantIds(albums, album.id);
+        const parent = Database.getAlbumPath(albums, album.id).slice(-2, -1)[0];
+        
+        const confirmed = await Utils.showConfirm(
+            descendantIds.length > 0
+                ? `Are you sure you want to delete "${album.name}", its ${descendantIds.length} sub-albums and all their photos?`
+                : `Are you sure you want to delete "${album.name}" and all its photos?`,
+            'Delete Album'
+        );
+        
+        if (confirmed && await this.confirmIdentity('Enter your password to delete this album.')) {
+            try {
+                for (const id of [album.id, ...descendantIds]) {
+                    await uploadQueue.cancelAlbum(id);
+                }
+                await db.deleteAlbum(album.id);
+                
+                if (parent) {
+                    await this.openGallery(parent.id);
+                } else {
+                    this.closeModal('gallery-modal');
+                }
+                await this.loadPhotosTab();
+                Utils.showToast('Album deleted successfully', 'success');
+            } catch (error) {
+                console.error('Failed to delete album:', error);
+                Utils.showToast('Failed to delete album', 'error');
+            }
+        }
+    }
+
+    async addPhotosToAlbum(albumId, files) {
+        if (!this.requirePermission('photos:edit')) return;
+        
+        const validImages = files.filter(file => Utils.isValidImage(file));
+        
+        if (validImages.length === 0) {
+            Utils.showToast('No valid images selected', 'error');
+            return;
+        }
+        
+        if (validImages.length !== files.length) {
+            Utils.showToast(`${files.length - validImages.length} invalid files skipped`, 'error');
+        }
+        
+        try {
+            // Files are processed in the background; the upload panel shows their progress
+            await uploadQueue.add(albumId, validImages);
+            Utils.showToast(`${validImages.length} photos queued for upload`, 'success');
+        } catch (error) {
+            console.error('Failed to queue photos:', error);
+            Utils.showToast('Failed to add photos', 'error');
+        }
+    }
+
+    /**
+     * Let admins reorder albums, photos, essays and videos by dragging a card's handle or from the keyboard
+     */
+    setupSortables() {
+        const save = (collection, reorder, reload) => async (ids) => {
+            try {
+                await reorder(ids.map(Number));
+            } catch (error) {
+                console.error(`Failed to reorder ${collection}:`, error);
+                Utils.showToast(`Failed to save the new ${collection} order`, 'error');
+                await reload();
+            }
+        };
+        
+        Utils.setupSortable(
+            document.getElementById('albums-grid'),
+            save('albums', ids => db.reorderAlbums(ids), () => this.loadPhotosTab()),
+            '.sortable-item',
+            { isEnabled: () => this.permissions.can('photos:edit') }
+        );
+        
+        Utils.setupSortable(
+            document.getElementById('subalbums-grid'),
+            save('albums', ids => db.reorderAlbums(ids), () => this.openGallery(this.currentAlbum.id)),
+            '.sortable-item',
+            { isEnabled: () => Boolean(this.currentAlbum) && this.permissions.can('photos:edit') }
+        );
+        
+        Utils.setupSortable(
+            document.getElementById('gallery-grid'),
+            save('photos', async ids => {
+                await db.reorderPhotos(this.currentAlbum.id, ids);
+                this.currentPhotos.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+            }, () => this.openGallery(this.currentAlbum.id)),
+            '.sortable-item',
+            { isEnabled: () => Boolean(this.currentAlbum) && this.permissions.can('photos:edit') }
+        );
+        
+        Utils.setupSortable(
+            document.getElementById('essays-grid'),
+            save('essays', ids => db.reorderEssays(ids), () => this.loadEssaysTab()),
+            '.sortable-item',
+            { isEnabled: () => this.permissions.can('essays:edit') }
+        );
+        
+        Utils.setupSortable(
+            document.getElementById('videos-container'),
+            save('videos', ids => db.reorderVideos(ids), () => this.loadVideosTab()),
+            '.sortable-item',
+            { isEnabled: () => this.permissions.can('videos:edit') }
+        );
+    }
+
+    /**
+     * Accept files dropped onto the gallery (photos for the open album), the photos tab
+     * (a folder per new album) and the essays tab (PDFs)
+     */
+    setupDropZones() {
+        const skipped = (what) => (files) => {
+            Utils.showToast(`${files.length} files skipped: only ${what} can be dropped here`, 'error');
+        };
+        
+        Utils.setupDragAndDrop(
+            document.querySelector('#gallery-modal .modal-content'),
+            (files) => this.addPhotosToAlbum(this.currentAlbum.id, files),
+            ['image/*'],
+            {
+                isEnabled: () => Boolean(this.currentAlbum) && this.permissions.can('photos:edit'),
+                onRejected: skipped('images')
+            }
+        );
+        
+        Utils.setupDragAndDrop(
+            document.getElementById('photos-tab'),
+            (files, folders) => this.createAlbumsFromFolders(folders, files),
+            ['image/*'],
+            {
+                includeFolders: true,
+                isEnabled: () => this.permissions.can('photos:edit'),
+                onRejected: skipped('images')
+            }
+        );
+        
+        Utils.setupDragAndDrop(
+            document.getElementById('essays-tab'),
+            (files) => this.addEssays(files),
+            ['application/pdf'],
+            {
+                isEnabled: () => this.permissions.can('essays:edit'),
+                onRejected: skipped('PDFs')
+            }
+        );
+    }
+
+    /**
+     * Create an album for each dropped folder, named after it, and queue its images
+     * @param {Array<Object>} folders - [{ name, files }] from the drop
+     * @param {Array<File>} looseFiles - Images dropped outside any folder
+     */
+    async createAlbumsFromFolders(folders, looseFiles = []) {
+        if (!this.requirePermission('photos:edit')) return;
+        
+        if (looseFiles.length > 0) {
+            Utils.showToast('Drop a folder to create an album, or open an album to add photos to it', 'error', 5000);
+        }
+        
+        const withImages = folders.filter(folder => folder.files.length > 0);
+        if (withImages.length < folders.length) {
+            Utils.showToast(`${folders.length - withImages.length} folders had no images`, 'error');
+        }
+        if (withImages.length === 0) return;
+        
+        try {
+            for (const folder of withImages) {
+                const albumId = await db.createAlbum(folder.name);
+                await this.addPhotosToAlbum(albumId, folder.files);
+            }
+            
+            await this.loadPhotosTab();
+            Utils.showToast(`${withImages.length} albums created`, 'success');
+        } catch (error) {
+            console.error('Failed to create albums from folders:', error);
+            Utils.showToast('Failed to create albums', 'error');
+            await this.loadPhotosTab();
+        }
+    }
+
+    /**
+     * Encode and store one queued file. Called by the upload queue.
+     * @param {Object} item - Upload queue item ({ albumId, file, name })
+     * @param {Function} onProgress - (fraction, stage) => void; throws if the upload was cancelled
+     * @returns {Promise<Object>} - Encoding report for the stored photo
+     */
+    async uploadPhoto(item, onProgress) {
+        const { file } = item;
+        const settings = Utils.getImageEncodingSettings();
+        
+        // Read EXIF from the original - canvas compression discards it. Only what the
+        // metadata policy allows is kept; GPS is dropped unless location is enabled.
+        onProgress(0.1, 'Reading');
+        const tags = await Exif.readTags(file);
+        const exif = Exif.summarize(tags, Exif.getPolicy());
+        
+        // Encode to the configured format under the size limit, rotated upright
+        onProgress(0.25, 'Encoding');
+        const encoded = await Utils.encodeImage(file, {
+            type: await Utils.resolveImageOutputType(settings.format, file.type),
+            quality: settings.quality,
+            maxSizeMB: settings.maxSizeMB,
+            orientation: Exif.getOrientation(tags)
+        });
+        const encoding = { type: encoded.type, quality: encoded.quality, originalSize: encoded.originalSize };
+        
+        onProgress(0.75, 'Saving');
+        await db.addPhoto(item.albumId, encoded.blob, {
+            exif,
+            encoding,
+            date: exif && exif.dateTaken ? exif.dateTaken.slice(0, 10) : '',
+            location: exif && exif.gps ? `${exif.gps.latitude}, ${exif.gps.longitude}` : ''
+        });
+        
+        return { file: item.name, ...encoding, size: encoded.blob.size };
+    }
+
+    /**
+     * Refresh the views once the upload queue has nothing left to do
+     * @param {Array<Object>} finished - Uploads completed since the queue was last idle
+     */
+    async finishUploads(finished) {
+        const report = finished.map(item => item.result);
+        const failed = uploadQueue.getItems().filter(item => item.status === 'failed').length;
+        
+        try {
+            // Reload gallery if currently viewing an album that received photos
+            if (this.currentAlbum && finished.some(item => item.albumId === this.currentAlbum.id)) {
+                await this.openGallery(this.currentAlbum.id);
+            }
+            
+            await this.loadPhotosTab();
+        } catch (error) {
+            console.error('Failed to refresh after uploads:', error);
+        }
+        
+        const summary = `${report.length} photos added successfully (${this.describeSizeChange(report)})`;
+        Utils.showToast(
+            failed > 0 ? `${summary}. ${failed} failed - retry them from the upload panel` : summary,
+            failed > 0 ? 'error' : 'success',
+            5000
+        );
+    }
+
+    renderUploadPanel(items) {
+        const panel = document.getElementById('upload-panel');
+        const list = document.getElementById('upload-list');
+        
+        panel.hidden = items.length === 0;
+        if (items.length === 0) return;
+        
+        const count = status => items.filter(item => item.status === status).length;
+        const done = count('done');
+        const failed = count('failed');
+        
+        document.getElementById('upload-summary').textContent =
+            `${done} of ${items.length} uploaded` + (failed > 0 ? `, ${failed} failed` : '');
+        document.getElementById('upload-retry-btn').hidden = failed === 0;
+        document.getElementById('upload-clear-btn').hidden = done === 0;
+        
+        const statusLabels = { pending: 'Waiting', processing: '', done: 'Done', failed: 'Failed' };
+        
+        list.innerHTML = items.map(item => `
+            <li class="upload-item ${item.status}">
+                <div class="upload-item-header">
+                    <span class="upload-name" title="${Utils.escapeHtml(item.name)}">${Utils.escapeHtml(item.name)}</span>
+                    <span class="upload-size">${Utils.formatFileSize(item.size)}</span>
+                </div>
+                <progress max="1" value="${item.progress}"></progress>
+                <div class="upload-item-footer">
+                    <span class="upload-status">${Utils.escapeHtml(item.error || item.stage || statusLabels[item.status])}</span>
+                    ${item.status === 'failed' ? `<button class="admin-control-btn" onclick="uploadQueue.retry(${item.id})" title="Retry">↻</button>` : ''}
+                    ${item.status !== 'done' ? `<button class="admin-control-btn" onclick="uploadQueue.cancel(${item.id})" title="Cancel">✕</button>` : ''}
+                </div>
+            </li>
+        `).join('');
+    }
+
+    async removePhoto(photoId) {
+        if (!this.requirePermission('photos:edit')) return;
+        
+        const confirmed = await Utils.showConfirm('Are you sure you want to remove this photo?');
+        
+        if (confirmed) {
+            try {
+                await db.removePhoto(photoId);
+                
+                // Reload current gallery
+                await this.refreshGallery();
+                await this.renderTagBrowser();
+                
+                Utils.showToast('Photo removed successfully', 'success');
+            } catch (error) {
+                console.error('Failed to remove photo:', error);
+                Utils.showToast('Failed to remove photo', 'error');
+            }
+        }
+    }
+
+    // Album cover
+    /**
+     * Open the cover editor for a photo, starting from the album's saved focal point
+     * when the photo is already the cover
+     */
+    openCoverEditor(photoId) {
+        if (!this.requirePermission('photos:edit')) return;
+        
+        const photo = this.currentPhotos.find(p => p.id === photoId);
+        if (!photo) return;
+        
+        const isCover = photo.uid === this.currentAlbum.coverPhotoUid;
+        const focus = isCover && this.currentAlbum.coverFocus ? this.currentAlbum.coverFocus : { x: 50, y: 50 };
+        const url = Utils.createObjectURL(db.getRendition(photo, 'medium'));
+        
+        this.coverEditor = { photo, focus };
+        document.getElementById('cover-focus-image').src = url;
+        document.getElementById('cover-preview-image').src = url;
+        document.getElementById('cover-preview-name').textContent = this.currentAlbum.name;
+        document.getElementById('cover-reset-btn').hidden = !this.currentAlbum.coverPhotoUid;
+        this.setCoverFocus(focus);
+        
+        Utils.showModal('cover-modal');
+    }
+
+    setCoverFocus(focus) {
+        const { x, y } = Database.clampFocus(focus);
+        this.coverEditor.focus = { x, y };
+        
+        const marker = document.getElementById('cover-focus-marker');
+        marker.style.left = `${x}%`;
+        marker.style.top = `${y}%`;
+        document.getElementById('cover-preview-image').style.objectPosition = `${x}% ${y}%`;
+        document.getElementById('cover-focus-value').textContent = `Focal point: ${x}% across, ${y}% down`;
+    }
+
+    async saveAlbumCover() {
+        if (!this.requirePermission('photos:edit') || !this.coverEditor) return;
+        
+        try {
+            const { photo, focus } = this.coverEditor;
+            this.currentAlbum = await db.setAlbumCover(this.currentAlbum.id, photo.uid, focus);
+            Utils.hideModal('cover-modal');
+            await this.openGallery(this.currentAlbum.id);
+            await this.loadPhotosTab();
+            Utils.showToast('Album cover updated', 'success');
+        } catch (error) {
+            console.error('Failed to set album cover:', error);
+            Utils.showToast('Failed to set album cover', 'error');
+        }
+    }
+
+    async resetAlbumCover() {
+        if (!this.requirePermission('photos:edit')) return;
+        
+        try {
+            this.currentAlbum = await db.setAlbumCover(this.currentAlbum.id, null);
+            Utils.hideModal('cover-modal');
+            await this.openGallery(this.currentAlbum.id);
+            await this.loadPhotosTab();
+            Utils.showToast('Album cover set back to automatic', 'success');
+        } catch (error) {
+            console.error('Failed to reset album cover:', error);
+            Utils.showToast('Failed to reset album cover', 'error');
+        }
+    }
+
+    // Photo selection
+    setPhotoSelectionMode(selecting) {
+        this.isSelectingPhotos = selecting;
+        if (!selecting) {
+            this.selectedPhotoIds.clear();
+            this.lastSelectedPhotoId = null;
+        }
+        
+        document.getElementById('gallery-grid').classList.toggle('selecting', selecting);
+        document.getElementById('selection-bar').hidden = !selecting;
+        document.getElementById('select-photos-btn').textContent = selecting ? 'Cancel Selection' : 'Select Photos';
+        this.updatePhotoSelection();
+    }
+
+    /**
+     * Update the selection for a click on a photo. Shift selects the range from the last clicked
+     * photo; otherwise the click toggles just that photo.
+     * @param {number} photoId - Clicked photo
+     * @param {MouseEvent} event - Click, for its modifier keys
+     */
+    selectPhoto(photoId, { shiftKey = false } = {}) {
+        if (!this.isSelectingPhotos) {
+            this.setPhotoSelectionMode(true);
+        }
+        
+        const ids = this.currentPhotos.map(photo => photo.id);
+        
+        if (shiftKey && ids.includes(this.lastSelectedPhotoId)) {
+            const [start, end] = [ids.indexOf(this.lastSelectedPhotoId), ids.indexOf(photoId)].sort((a, b) => a - b);
+            ids.slice(start, end + 1).forEach(id => this.selectedPhotoIds.add(id));
+        } else if (this.selectedPhotoIds.has(photoId)) {
+            this.selectedPhotoIds.delete(photoId);
+        } else {
+            this.selectedPhotoIds.add(photoId);
+        }
+        
+        this.lastSelectedPhotoId = photoId;
+        this.updatePhotoSelection();
+    }
+
+    selectAllPhotos() {
+        this.currentPhotos.forEach(photo => this.selectedPhotoIds.add(photo.id));
+        this.updatePhotoSelection();
+    }
+
+    updatePhotoSelection() {
+        const count = this.selectedPhotoIds.size;
+        
+        document.querySelectorAll('#gallery-grid .gallery-item').forEach(item => {
+            item.classList.toggle('selected', this.selectedPhotoIds.has(Number(item.dataset.id)));
+        });
+        
+        document.getElementById('selection-count').textContent = `${count} selected`;
+        ['download-selected-btn', 'tag-selected-btn', 'move-selected-btn', 'copy-selected-btn', 'delete-selected-btn'].forEach(id => {
+            document.getElementById(id).disabled = count === 0;
+        });
+    }
+
+    /**
+     * Selected photos, in gallery order
+     */
+    getSelectedPhotos() {
+        return this.currentPhotos.filter(photo => this.selectedPhotoIds.has(photo.id));
+    }
+
+    async deleteSelectedPhotos() {
+        if (!this.requirePermission('photos:edit')) return;
+        
+        const photos = this.getSelectedPhotos();
+        const confirmed = await Utils.showConfirm(
+            `Are you sure you want to delete ${photos.length} photos? This cannot be undone.`,
+            'Delete Photos'
+        );
+        if (!confirmed) return;
+        
+        try {
+            await db.removePhotos(photos.map(photo => photo.id));
+            this.setPhotoSelectionMode(false);
+            await this.openGallery(this.currentAlbum.id);
+            await this.loadPhotosTab();
+            Utils.showToast(`${photos.length} photos deleted`, 'success');
+        } catch (error) {
+            console.error('Failed to delete photos:', error);
+            Utils.showToast('Failed to delete photos', 'error');
+        }
+    }
+
+    /**
+     * Ask which album to move or copy the selected photos to
+     * @param {string} mode - 'move' or 'copy'
+     */
+    async openPhotoTransfer(mode) {
+        if (!this.requirePermission('photos:edit')) return;
+        
+        try {
+            const allAlbums = await db.getAllAlbums();
+            const albums = allAlbums.filter(album => album.id !== this.currentAlbum.id);
+            if (albums.length === 0) {
+                Utils.showToast('Create another album first', 'error');
+                return;
+            }
+            
+            const select = document.getElementById('photo-transfer-album');
+            select.innerHTML = '';
+            albums.forEach(album => {
+                const path = Database.getAlbumPath(allAlbums, album.id).map(a => a.name).join(' › ');
+                select.appendChild(new Option(path, album.id));
+            });
+            
+            const verb = mode === 'move' ? 'Move' : 'Copy';
+            this.photoTransferMode = mode;
+            document.getElementById('photo-transfer-title').textContent = `${verb} ${this.selectedPhotoIds.size} Photos`;
+            document.getElementById('photo-transfer-submit').textContent = verb;
+            Utils.showModal('photo-transfer-modal');
+        } catch (error) {
+            console.error('Failed to load albums:', error);
+            Utils.showToast('Failed to load albums', 'error');
+        }
+    }
+
+    async transferSelectedPhotos() {
+        if (!this.requirePermission('photos:edit')) return;
+        
+        const select = document.getElementById('photo-transfer-album');
+        const albumId = router.parseId(select.value);
+        const albumName = select.selectedOptions[0] ? select.selectedOptions[0].textContent : '';
+        const photoIds = this.getSelectedPhotos().map(photo => photo.id);
+        const moving = this.photoTransferMode === 'move';
+        
+        try {
+            const count = moving
+                ? await db.movePhotos(photoIds, albumId)
+                : await db.copyPhotos(photoIds, albumId);
+            
+            Utils.hideModal('photo-transfer-modal');
+            this.setPhotoSelectionMode(false);
+            await this.openGallery(this.currentAlbum.id);
+            await this.loadPhotosTab();
+            Utils.showToast(`${count} photos ${moving ? 'moved' : 'copied'} to "${albumName}"`, 'success');
+        } catch (error) {
+            console.error(`Failed to ${this.photoTransferMode} photos:`, error);
+            Utils.showToast(`Failed to ${this.photoTransferMode} photos`, 'error');
+        }
+    }
+
+    async tagSelectedPhotos() {
+        if (!this.requirePermission('photos:edit')) return;
+        
+        const photoIds = this.getSelectedPhotos().map(photo => photo.id);
+        const input = prompt(`Add tags to ${photoIds.length} photos (separate tags with commas):`);
+        if (!input || Database.normalizeTags(input).length === 0) return;
+        
+        try {
+            const count = await db.addPhotoTags(photoIds, input);
+            await this.openGallery(this.currentAlbum.id);
+            await this.renderTagBrowser();
+            Utils.showToast(`${count} photos tagged`, 'success');
+        } catch (error) {
+            console.error('Failed to tag photos:', error);
+            Utils.showToast('Failed to tag photos', 'error');
+        }
+    }
+
+    /**
+     * Download the selected photos at full size as a ZIP named after the album
+     */
+    async downloadSelectedPhotos() {
+        const photos = this.getSelectedPhotos();
+        const filename = `${Utils.toSafeFilename(this.currentAlbum.name, 'album')}.zip`;
+        
+        try {
+            let writable = null;
+            try {
+                writable = await Utils.openSaveStream(filename, 'ZIP archive', { 'application/zip': ['.zip'] });
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.warn('Save picker unavailable, falling back to download:', error);
+            }
+            
+            Utils.showToast(`Preparing ${photos.length} photos...`, 'info');
+            
+            const zip = new ZipWriter(writable);
+            const usedNames = new Set();
+            
+            for (const [index, photo] of photos.entries()) {
+                const base = Utils.toSafeFilename(photo.title, `photo-${index + 1}`);
+                const extension = db.getFileExtension(photo.blob.type);
+                
+                let name = `${base}${extension}`;
+                for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+                    name = `${base} (${n})${extension}`;
+                }
+                usedNames.add(name.toLowerCase());
+                
+                await zip.addFile(name, photo.blob, photo.createdAt ? new Date(photo.createdAt) : new Date());
+            }
+            
+            const archive = await zip.finish();
+            if (archive) {
+                Utils.downloadBlob(archive, filename);
+            }
+            Utils.showToast(`${photos.length} photos downloaded`, 'success');
+        } catch (error) {
+            console.error('Failed to download photos:', error);
+            Utils.showToast('Failed to download photos', 'error');
+        }
+    }
+
+    /**
+     * The lightbox only needs the full-size original on screens larger than the medium rendition
+     */
+    getLightboxSize() {
+        const screenPixels = Math.max(window.innerWidth, window.innerHeight) * (window.devicePixelRatio || 1);
+        return screenPixels > db.renditionSizes.medium.maxDimension ? 'full' : 'medium';
+    }
+
+    /**
+     * Create renditions for photos that have none (added before renditions existed, or restored
+     * from a backup). Runs one photo at a time in the background.
+     */
+    async backfillRenditions() {
+        // Photos imported while a pass is running are picked up by one more pass afterwards
+        if (this.isBackfillingRenditions) {
+            this.isRenditionBackfillQueued = true;
+            return;
+        }
+        this.isBackfillingRenditions = true;
+        
+        try {
+            const photos = await db.getPhotosWithoutRenditions();
+            
+            for (const photo of photos) {
+                const renditions = await db.createRenditions(photo.blob);
+                if (renditions) {
+                    await db.setPhotoRenditions(photo.id, renditions, photo.blob);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to backfill photo renditions:', error);
+        } finally {
+            this.isBackfillingRenditions = false;
+            if (this.isRenditionBackfillQueued) {
+                this.isRenditionBackfillQueued = false;
+                this.backfillRenditions();
+            }
+        }
+    }
+
+    /**
+     * Read the text, stats, excerpt and cover of essays whose PDFs have not been read yet (added
+     * while pdf.js could not load, added before these existed, or restored from a backup). Runs
+     * one essay at a time, then refreshes the essay cards.
+     */
+    async backfillEssayContent() {
+        if (this.isBackfillingEssayContent) {
+            this.isEssayContentBackfillQueued = true;
+            return;
+        }
+        this.isBackfillingEssayContent = true;
+        
+        try {
+            const essays = await db.getEssaysWithoutContent();
+            const uncovered = await db.getEssaysWithoutCover();
+            if (essays.length === 0 && uncovered.length === 0) return;
+            
+            try {
+                await Utils.loadPdfJs();
+            } catch (error) {
+                // Offline: essays show no stats and are found by title until a later visit
+                console.warn('PDF text extraction unavailable:', error);
+                return;
+            }
+            
+            for (const essay of essays) {
+                await db.setEssayContent(essay.id, await this.readEssayContent(essay.pdfBlob));
+            }
+            for (const essay of uncovered) {
+                await db.setEssayCover(essay.id, await this.renderEssayCover(essay.pdfBlob));
+            }
+            
+            if (this.currentTab === 'essays') {
+                await this.loadEssaysTab();
+            }
+        } catch (error) {
+            console.error('Failed to backfill essay content:', error);
+        } finally {
+            this.isBackfillingEssayContent = false;
+            if (this.isEssayContentBackfillQueued) {
+                this.isEssayContentBackfillQueued = false;
+                this.backfillEssayContent();
+            }
+        }
+    }
+
+    /**
+     * Read an essay's PDF. Damaged or encrypted PDFs get empty content, so they are not
+     * tried again on every visit.
+     */
+    async readEssayContent(blob) {
+        try {
+            return await Utils.readEssayContent(blob);
         } catch (error) {
-            console.error('Failed to open gallery:', error);
-            Utils.showToast('Failed to open gallery', 'error');
+            console.warn('Failed to read essay PDF:', error);
+            return { text: '', pageCount: null, ...Utils.getTextStats('') };
         }
     }
 
-    async addPhotosToAlbum(albumId, files) {
-        const validImages = files.filter(file => Utils.isValidImage(file));
-        
-        if (validImages.length === 0) {
-            Utils.showToast('No valid images selected', 'error');
-            return;
+    /**
+     * Draw the first page of an essay's PDF as its cover
+     * @returns {Promise<Blob|null>} - Cover, or null if the page could not be drawn
+     */
+    async renderEssayCover(blob) {
+        try {
+            return await Utils.renderPdfCover(blob);
+        } catch (error) {
+            console.warn('Failed to draw essay cover:', error);
+            return null;
         }
+    }
+
+    /**
+     * Summarise an encoding report, e.g. "24.1 MB → 3.2 MB as WebP"
+     * @param {Array<Object>} report - Entries with { type, originalSize, size }
+     */
+    describeSizeChange(report) {
+        const originalSize = report.reduce((total, entry) => total + entry.originalSize, 0);
+        const size = report.reduce((total, entry) => total + entry.size, 0);
+        const types = [...new Set(report.map(entry => this.getImageFormatName(entry.type)))];
+        return `${Utils.formatFileSize(originalSize)} → ${Utils.formatFileSize(size)} as ${types.join(', ')}`;
+    }
+
+    getImageFormatName(type) {
+        const names = { 'image/avif': 'AVIF', 'image/webp': 'WebP', 'image/jpeg': 'JPEG', 'image/png': 'PNG', 'image/gif': 'GIF' };
+        return names[type] || type;
+    }
+
+    getPhotoAlt(photo, index) {
+        return photo.alt || photo.title || `Photo ${index + 1} of ${this.currentPhotos.length}`;
+    }
+
+    editPhoto(photoId) {
+        if (!this.requirePermission('photos:edit')) return;
         
-        if (validImages.length !== files.length) {
-            Utils.showToast(`${files.length - validImages.length} invalid files skipped`, 'error');
+        const photo = this.currentPhotos.find(p => p.id === photoId);
+        if (!photo) return;
+        
+        this.editingPhotoId = photoId;
+        db.photoMetadataFields.forEach(field => {
+            document.getElementById(`photo-${field}`).value = photo[field] || '';
+        });
+        document.getElementById('photo-tags').value = (photo.tags || []).join(', ');
+        
+        const encoding = photo.encoding;
+        document.getElementById('photo-encoding-info').textContent = encoding
+            ? `Stored as ${this.getImageFormatName(encoding.type)} at quality ${encoding.quality}: ` +
+              `${Utils.formatFileSize(photo.blob.size)} (uploaded ${Utils.formatFileSize(encoding.originalSize)})`
+            : `Stored as ${this.getImageFormatName(photo.blob.type)}: ${Utils.formatFileSize(photo.blob.size)}`;
+        Utils.showModal('photo-modal');
+    }
+
+    updateLightboxExif(photo) {
+        const rows = Exif.describe(photo.exif);
+        const infoBtn = document.getElementById('lightbox-info-btn');
+        const panel = document.getElementById('lightbox-exif');
+        
+        infoBtn.hidden = rows.length === 0;
+        infoBtn.setAttribute('aria-pressed', String(this.showPhotoInfo));
+        panel.hidden = !this.showPhotoInfo || rows.length === 0;
+        panel.innerHTML = rows
+            .map(([label, value]) => `<dt>${Utils.escapeHtml(label)}</dt><dd>${Utils.escapeHtml(value)}</dd>`)
+            .join('');
+    }
+
+    /**
+     * Capture time used for sorting: EXIF date, then the photo's own date, or '' if unknown
+     */
+    getPhotoCaptureDate(photo) {
+        return (photo.exif && photo.exif.dateTaken) || photo.date || '';
+    }
+
+    async sortAlbumByDate() {
+        if (!this.currentAlbum || !this.requirePermission('photos:edit')) return;
+        
+        // Dated photos go first, oldest to newest; undated ones keep their current order after them
+        const sorted = this.currentPhotos
+            .map((photo, index) => ({ photo, index, date: this.getPhotoCaptureDate(photo) }))
+            .sort((a, b) => {
+                if (a.date && b.date && a.date !== b.date) return a.date < b.date ? -1 : 1;
+                if (!a.date !== !b.date) return a.date ? -1 : 1;
+                return a.index - b.index;
+            });
+        
+        if (!sorted.some(entry => entry.date)) {
+            Utils.showToast('No photos in this album have a capture date', 'error');
+            return;
         }
         
         try {
-            for (const file of validImages) {
-                // Compress image to be under 2MB
-                const compressedBlob = await Utils.compressImage(file);
-                await db.addPhoto(albumId, compressedBlob);
-            }
-            
-            // Reload gallery if currently viewing this album
-            if (this.currentAlbum && this.currentAlbum.id === albumId) {
-                await this.openGallery(albumId);
-            }
-            
+            await db.reorderPhotos(this.currentAlbum.id, sorted.map(entry => entry.photo.id));
+            await this.openGallery(this.currentAlbum.id);
             await this.loadPhotosTab();
-            Utils.showToast(`${validImages.length} photos added successfully`, 'success');
+            Utils.showToast('Photos sorted by date taken', 'success');
         } catch (error) {
-            console.error('Failed to add photos:', error);
-            Utils.showToast('Failed to add photos', 'error');
+            console.error('Failed to sort photos:', error);
+            Utils.showToast('Failed to sort photos', 'error');
         }
     }
 
-    async removePhoto(photoId) {
-        const confirmed = await Utils.showConfirm('Are you sure you want to remove this photo?');
+    async savePhotoDetails() {
+        if (this.editingPhotoId === null || !this.requirePermission('photos:edit')) return;
         
-        if (confirmed) {
-            try {
-                await db.removePhoto(photoId);
-                
-                // Reload current gallery
-                if (this.currentAlbum) {
-                    await this.openGallery(this.currentAlbum.id);
-                }
-                
-                Utils.showToast('Photo removed successfully', 'success');
-            } catch (error) {
-                console.error('Failed to remove photo:', error);
-                Utils.showToast('Failed to remove photo', 'error');
+        const changes = {};
+        db.photoMetadataFields.forEach(field => {
+            changes[field] = document.getElementById(`photo-${field}`).value;
+        });
+        changes.tags = document.getElementById('photo-tags').value;
+        
+        try {
+            const updated = await db.updatePhoto(this.editingPhotoId, changes);
+            const index = this.currentPhotos.findIndex(p => p.id === updated.id);
+            if (index !== -1) {
+                this.currentPhotos[index] = updated;
             }
+            
+            this.editingPhotoId = null;
+            Utils.hideModal('photo-modal');
+            
+            await this.refreshGallery();
+            await this.renderTagBrowser();
+            Utils.showToast('Photo details saved', 'success');
+        } catch (error) {
+            console.error('Failed to save photo details:', error);
+            Utils.showToast('Failed to save photo details', 'error');
         }
     }
 
@@ -483,11 +2049,12 @@ class App {
         const photo = this.currentPhotos[photoIndex];
         
         const lightboxImage = document.getElementById('lightbox-image');
-        const photoUrl = Utils.createObjectURL(photo.blob);
+        const photoUrl = Utils.createObjectURL(db.getRendition(photo, this.getLightboxSize()));
         lightboxImage.src = photoUrl;
         
         this.updateLightboxNavigation();
         Utils.showModal('lightbox-modal');
+        this.syncRoute();
     }
 
     showPreviousPhoto() {
@@ -497,10 +2064,11 @@ class App {
         const photo = this.currentPhotos[this.currentLightboxIndex];
         
         const lightboxImage = document.getElementById('lightbox-image');
-        const photoUrl = Utils.createObjectURL(photo.blob);
+        const photoUrl = Utils.createObjectURL(db.getRendition(photo, this.getLightboxSize()));
         lightboxImage.src = photoUrl;
         
         this.updateLightboxNavigation();
+        this.syncRoute(true);
     }
 
     showNextPhoto() {
@@ -510,10 +2078,11 @@ class App {
         const photo = this.currentPhotos[this.currentLightboxIndex];
         
         const lightboxImage = document.getElementById('lightbox-image');
-        const photoUrl = Utils.createObjectURL(photo.blob);
+        const photoUrl = Utils.createObjectURL(db.getRendition(photo, this.getLightboxSize()));
         lightboxImage.src = photoUrl;
         
         this.updateLightboxNavigation();
+        this.syncRoute(true);
     }
 
     updateLightboxNavigation() {
@@ -525,6 +2094,29 @@ class App {
         
         prevBtn.disabled = this.currentPhotos.length <= 1;
         nextBtn.disabled = this.currentPhotos.length <= 1;
+        
+        this.updateLightboxDetails();
+    }
+
+    updateLightboxDetails() {
+        const photo = this.currentPhotos[this.currentLightboxIndex];
+        if (!photo) return;
+        
+        document.getElementById('lightbox-image').alt = this.getPhotoAlt(photo, this.currentLightboxIndex);
+        
+        const meta = [photo.date ? Utils.formatDate(photo.date) : '', photo.location || '']
+            .filter(Boolean)
+            .join(' · ');
+        
+        this.updateLightboxExif(photo);
+        
+        const tags = photo.tags || [];
+        
+        document.getElementById('lightbox-title').textContent = photo.title || '';
+        document.getElementById('lightbox-caption').textContent = photo.caption || '';
+        document.getElementById('lightbox-meta').textContent = meta;
+        document.getElementById('lightbox-tags').innerHTML = tags.map(tag => this.createTagChip(tag)).join('');
+        document.getElementById('lightbox-details').hidden = !(photo.title || photo.caption || meta || tags.length > 0);
     }
 
     // Essays Tab Implementation
@@ -540,6 +2132,33 @@ class App {
                 e.target.value = '';
             }
         });
+        
+        document.getElementById('essay-cover-input').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file && this.coverEssayId !== null) {
+                await this.setCustomEssayCover(this.coverEssayId, file);
+            }
+            this.coverEssayId = null;
+        });
+        
+        // Reader controls
+        document.getElementById('reader-prev-btn').addEventListener('click', () => pdfReader.previousPage());
+        document.getElementById('reader-next-btn').addEventListener('click', () => pdfReader.nextPage());
+        document.getElementById('reader-zoom-out-btn').addEventListener('click', () => pdfReader.zoomOut());
+        document.getElementById('reader-zoom-in-btn').addEventListener('click', () => pdfReader.zoomIn());
+        document.getElementById('reader-fit-width-btn').addEventListener('click', () => pdfReader.fitToWidth());
+        
+        document.getElementById('reader-page-input').addEventListener('change', (e) => {
+            pdfReader.goToPage(Number(e.target.value));
+        });
+        
+        // Fit-to-width follows the window size
+        window.addEventListener('resize', Utils.debounce(() => {
+            if (pdfReader.isOpen() && pdfReader.getState().fitWidth) {
+                pdfReader.render();
+            }
+        }, 150));
     }
 
     async loadEssaysTab() {
@@ -566,15 +2185,22 @@ class App {
 
     createEssayCard(essay) {
         const card = document.createElement('div');
-        card.className = 'essay-card';
+        card.className = 'essay-card sortable-item';
         card.dataset.id = essay.id;
+        card.dataset.label = essay.title;
+        
+        const coverUrl = essay.coverBlob ? Utils.createObjectURL(essay.coverBlob) : '';
         
         card.innerHTML = `
-            <div class="essay-icon">📄</div>
+            ${coverUrl ? `<img src="${coverUrl}" alt="" class="essay-cover" loading="lazy">` : '<div class="essay-icon">📄</div>'}
             <h3 class="essay-title">${Utils.escapeHtml(essay.title)}</h3>
-            <p class="essay-size">${Utils.formatFileSize(essay.size)}</p>
+            <p class="essay-stats">${this.getEssayStats(essay).join(' · ')}</p>
+            ${essay.excerpt ? `<p class="essay-excerpt">${Utils.escapeHtml(essay.excerpt)}</p>` : ''}
             <div class="essay-admin-controls">
+                <button class="admin-control-btn sort-handle" title="Drag to reorder, or press Space and use the arrow keys" aria-label="Reorder ${Utils.escapeHtml(essay.title)}">⠿</button>
                 <button class="admin-control-btn" onclick="app.renameEssay(${essay.id})" title="Rename">✏️</button>
+                <button class="admin-control-btn" onclick="event.stopPropagation(); app.chooseEssayCover(${essay.id})" title="Upload cover image">🖼️</button>
+                ${essay.customCover ? `<button class="admin-control-btn" onclick="event.stopPropagation(); app.resetEssayCover(${essay.id})" title="Use first page as cover">↺</button>` : ''}
                 <button class="admin-control-btn" onclick="app.deleteEssay(${essay.id})" title="Delete">🗑️</button>
             </div>
         `;
@@ -586,7 +2212,28 @@ class App {
         return card;
     }
 
+    /**
+     * Card details for an essay, e.g. ["12 pages", "3,400 words", "15 min read", "1.2 MB"].
+     * Stats are missing until the PDF has been read, and for PDFs without a text layer.
+     */
+    getEssayStats(essay) {
+        const stats = [];
+        
+        if (essay.pageCount) {
+            stats.push(`${essay.pageCount} ${essay.pageCount === 1 ? 'page' : 'pages'}`);
+        }
+        if (essay.wordCount) {
+            stats.push(`${essay.wordCount.toLocaleString()} ${essay.wordCount === 1 ? 'word' : 'words'}`);
+            stats.push(`${essay.readingMinutes} min read`);
+        }
+        stats.push(Utils.formatFileSize(essay.size));
+        
+        return stats;
+    }
+
     async addEssays(files) {
+        if (!this.requirePermission('essays:edit')) return;
+        
         const validPDFs = files.filter(file => Utils.isValidPDF(file));
         
         if (validPDFs.length === 0) {
@@ -599,27 +2246,117 @@ class App {
         }
         
         try {
+            // Without pdf.js (e.g. offline) the essays are added now and read by the backfill later
+            const canRead = await Utils.loadPdfJs().then(() => true, () => false);
+            
             for (const file of validPDFs) {
                 const title = file.name.replace(/\.pdf$/i, '');
-                await db.addEssay(file, title);
+                const content = canRead ? await this.readEssayContent(file) : null;
+                const cover = canRead ? await this.renderEssayCover(file) : null;
+                await db.addEssay(file, title, content, cover);
             }
             
             await this.loadEssaysTab();
             Utils.showToast(`${validPDFs.length} essays added successfully`, 'success');
+            this.backfillEssayContent();
         } catch (error) {
             console.error('Failed to add essays:', error);
             Utils.showToast('Failed to add essays', 'error');
         }
     }
 
-    openEssay(essay) {
-        const pdfUrl = Utils.createObjectURL(essay.pdfBlob);
+    async openEssay(essay) {
+        this.currentEssay = essay;
         document.getElementById('essay-title').textContent = essay.title;
-        document.getElementById('essay-iframe').src = pdfUrl;
+        document.getElementById('essay-reader-modal').classList.remove('reader-fallback');
+        document.getElementById('essay-iframe').src = 'about:blank';
+        this.setReaderStatus('Loading…');
         Utils.showModal('essay-reader-modal');
+        this.syncRoute();
+        
+        try {
+            // Reading position is kept by uid, which survives backups and merges
+            const page = await pdfReader.open(essay.pdfBlob, document.getElementById('reader-canvas'), {
+                progressKey: essay.uid || essay.id,
+                onChange: (state) => this.updateReaderControls(state)
+            });
+            if (page === null) return;
+            
+            this.setReaderStatus('');
+            document.getElementById('reader-viewport').focus();
+            if (page > 1) {
+                Utils.showToast(`Continuing from page ${page}`, 'info');
+            }
+        } catch (error) {
+            if (this.currentEssay !== essay) return;
+            
+            // Without pdf.js (e.g. offline on a first visit), use the browser's own viewer
+            console.warn('Built-in PDF reader unavailable, using the browser viewer:', error);
+            this.setReaderStatus('');
+            document.getElementById('essay-reader-modal').classList.add('reader-fallback');
+            document.getElementById('essay-iframe').src = Utils.createObjectURL(essay.pdfBlob);
+        }
+    }
+
+    closeEssayReader() {
+        this.currentEssay = null;
+        pdfReader.close();
+        document.getElementById('essay-iframe').src = 'about:blank';
+    }
+
+    setReaderStatus(message) {
+        const status = document.getElementById('reader-status');
+        status.textContent = message;
+        status.hidden = !message;
+    }
+
+    /**
+     * Show the reader's page, zoom and progress
+     * @param {Object} state - { pageNumber, pageCount, scale, fitWidth } from PdfReader.getState
+     */
+    updateReaderControls({ pageNumber, pageCount, scale, fitWidth }) {
+        const pageInput = document.getElementById('reader-page-input');
+        pageInput.value = pageNumber;
+        pageInput.max = pageCount;
+        document.getElementById('reader-page-count').textContent = pageCount;
+        document.getElementById('reader-prev-btn').disabled = pageNumber <= 1;
+        document.getElementById('reader-next-btn').disabled = pageNumber >= pageCount;
+        document.getElementById('reader-zoom-value').textContent = `${Math.round(scale * 100)}%`;
+        document.getElementById('reader-zoom-out-btn').disabled = scale <= pdfReader.minScale;
+        document.getElementById('reader-zoom-in-btn').disabled = scale >= pdfReader.maxScale;
+        document.getElementById('reader-fit-width-btn').setAttribute('aria-pressed', String(fitWidth));
+        document.getElementById('reader-progress').value = pageCount > 0 ? pageNumber / pageCount : 0;
+    }
+
+    /**
+     * Keyboard shortcuts in the essay reader
+     * @param {string} key - KeyboardEvent.key
+     * @returns {boolean} - True if the key was handled
+     */
+    handleReaderKey(key) {
+        if (!pdfReader.isOpen()) return false;
+        
+        const actions = {
+            ArrowRight: () => pdfReader.nextPage(),
+            PageDown: () => pdfReader.nextPage(),
+            ArrowLeft: () => pdfReader.previousPage(),
+            PageUp: () => pdfReader.previousPage(),
+            Home: () => pdfReader.goToPage(1),
+            End: () => pdfReader.goToPage(pdfReader.getState().pageCount),
+            '+': () => pdfReader.zoomIn(),
+            '=': () => pdfReader.zoomIn(),
+            '-': () => pdfReader.zoomOut(),
+            '0': () => pdfReader.fitToWidth()
+        };
+        
+        if (!actions[key]) return false;
+        actions[key]();
+        return true;
     }
 
     async renameEssay(essayId) {
+        if (!this.requirePermission('essays:edit')) return;
+        
         try {
             const essays = await db.getAllEssays();
             const essay = essays.find(e => e.id === essayId);
@@ -641,7 +2378,65 @@ class App {
         }
     }
 
+    chooseEssayCover(essayId) {
+        if (!this.requirePermission('essays:edit')) return;
+        
+        this.coverEssayId = essayId;
+        document.getElementById('essay-cover-input').click();
+    }
+
+    /**
+     * Replace an essay's cover with an uploaded image
+     * @param {number} essayId - Essay ID
+     * @param {File} file - Image file
+     */
+    async setCustomEssayCover(essayId, file) {
+        if (!this.requirePermission('essays:edit')) return;
+        
+        if (!Utils.isValidImage(file)) {
+            Utils.showToast('Please choose an image file', 'error');
+            return;
+        }
+        
+        try {
+            const [type] = await Utils.getEncodableImageTypes();
+            const encoded = await Utils.encodeImage(file, { type, maxSizeMB: 0.5, maxDimension: 1024 });
+            await db.setEssayCover(essayId, encoded.blob, true);
+            await this.loadEssaysTab();
+            Utils.showToast('Essay cover updated', 'success');
+        } catch (error) {
+            console.error('Failed to set essay cover:', error);
+            Utils.showToast('Failed to set essay cover', 'error');
+        }
+    }
+
+    /**
+     * Go back to a cover drawn from the essay's first page
+     */
+    async resetEssayCover(essayId) {
+        if (!this.requirePermission('essays:edit')) return;
+        
+        try {
+            const essays = await db.getAllEssays();
+            const essay = essays.find(e => e.id === essayId);
+            
+            if (!essay) {
+                Utils.showToast('Essay not found', 'error');
+                return;
+            }
+            
+            await db.setEssayCover(essayId, await Utils.renderPdfCover(essay.pdfBlob), false, true);
+            await this.loadEssaysTab();
+            Utils.showToast('Essay cover reset to the first page', 'success');
+        } catch (error) {
+            console.error('Failed to reset essay cover:', error);
+            Utils.showToast('Failed to draw the first page of the essay', 'error');
+        }
+    }
+
     async deleteEssay(essayId) {
+        if (!this.requirePermission('essays:edit')) return;
+        
         const confirmed = await Utils.showConfirm('Are you sure you want to delete this essay?');
         
         if (confirmed) {
@@ -659,6 +2454,7 @@ class App {
     // Videos Tab Implementation
     setupVideosEventListeners() {
         document.getElementById('add-video-btn').addEventListener('click', () => {
+            if (!this.requirePermission('videos:edit')) return;
             Utils.showModal('add-video-modal');
         });
 
@@ -666,7 +2462,7 @@ class App {
             e.preventDefault();
             const url = document.getElementById('video-url').value.trim();
             
-            if (url) {
+            if (url && this.requirePermission('videos:edit')) {
                 try {
                     await db.addVideo(url);
                     Utils.hideModal('add-video-modal');
@@ -705,8 +2501,9 @@ class App {
 
     createVideoCard(video) {
         const card = document.createElement('div');
-        card.className = 'video-card';
+        card.className = 'video-card sortable-item';
         card.dataset.id = video.id;
+        card.dataset.label = video.title || 'Video';
         
         let embedUrl;
         if (video.provider === 'youtube') {
@@ -720,6 +2517,7 @@ class App {
                 <iframe src="${embedUrl}" frameborder="0" allowfullscreen loading="lazy"></iframe>
             </div>
             <div class="video-admin-controls">
+                <button class="admin-control-btn sort-handle" title="Drag to reorder, or press Space and use the arrow keys" aria-label="Reorder ${Utils.escapeHtml(card.dataset.label)}">⠿</button>
                 <button class="admin-control-btn" onclick="app.deleteVideo(${video.id})" title="Delete">🗑️</button>
             </div>
         `;
@@ -728,6 +2526,8 @@ class App {
     }
 
     async deleteVideo(videoId) {
+        if (!this.requirePermission('videos:edit')) return;
+        
         const confirmed = await Utils.showConfirm('Are you sure you want to remove this video?');
         
         if (confirmed) {
@@ -772,30 +2572,189 @@ class App {
         });
 
         document.getElementById('import-data-btn').addEventListener('click', () => {
+            this.importMode = 'replace';
+            document.getElementById('import-file-input').click();
+        });
+
+        document.getElementById('merge-data-btn').addEventListener('click', () => {
+            this.importMode = 'merge';
             document.getElementById('import-file-input').click();
         });
 
         document.getElementById('import-file-input').addEventListener('change', async (e) => {
             const file = e.target.files[0];
             if (file) {
-                await this.importAllData(file);
+                if (this.importMode === 'merge') {
+                    await this.previewMergeImport(file);
+                } else {
+                    await this.importAllData(file);
+                }
                 e.target.value = '';
             }
         });
+
+        // Merge preview
+        document.getElementById('merge-items').addEventListener('change', (e) => {
+            const item = this.mergePlan && this.mergePlan.items.find(i => i.key === e.target.dataset.key);
+            if (item) {
+                item.action = e.target.value;
+            }
+        });
+
+        document.getElementById('merge-apply-btn').addEventListener('click', () => {
+            this.applyMergeImport();
+        });
+
+        document.getElementById('merge-cancel-btn').addEventListener('click', () => {
+            this.hideMergePreview();
+        });
+
+        // Image encoding
+        document.getElementById('encoding-settings-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            try {
+                Utils.saveImageEncodingSettings({
+                    format: document.getElementById('encoding-format').value,
+                    quality: document.getElementById('encoding-quality').value,
+                    maxSizeMB: document.getElementById('encoding-max-size').value
+                });
+                Utils.showToast('Image encoding settings saved', 'success');
+            } catch (error) {
+                Utils.showToast(error.message, 'error');
+            }
+        });
+
+        document.getElementById('reencode-photos-btn').addEventListener('click', () => {
+            this.reencodePhotos();
+        });
+
+        // Photo metadata policy
+        document.getElementById('metadata-policy-form').addEventListener('change', () => {
+            Exif.savePolicy({
+                camera: document.getElementById('metadata-keep-camera').checked,
+                date: document.getElementById('metadata-keep-date').checked,
+                location: document.getElementById('metadata-keep-location').checked
+            });
+            Utils.showToast('Photo metadata settings saved', 'success');
+        });
+
+        // Admin session settings
+        document.getElementById('session-settings-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            try {
+                sessionLock.saveSettings({
+                    idleMinutes: document.getElementById('session-idle-minutes').value,
+                    sessionMinutes: document.getElementById('session-length-minutes').value
+                });
+                Utils.showToast('Session settings saved', 'success');
+            } catch (error) {
+                Utils.showToast(error.message, 'error');
+            }
+        });
     }
 
     async openBrandingPanel() {
-        // Only allow access in admin mode
-        if (!this.isAdminMode) {
-            Utils.showToast('Admin access required', 'error');
-            return;
-        }
+        // The panel holds branding and backups, which only owners manage
+        if (!this.requirePermission('branding:edit')) return;
         
-        // Update asset previews
+        // Update asset previews and session settings
         await this.updateAssetPreviews();
+        const settings = sessionLock.getSettings();
+        document.getElementById('session-idle-minutes').value = settings.idleMinutes;
+        document.getElementById('session-length-minutes').value = settings.sessionMinutes;
+        
+        await this.updateEncodingSettingsForm();
+        
+        const policy = Exif.getPolicy();
+        document.getElementById('metadata-keep-camera').checked = policy.camera;
+        document.getElementById('metadata-keep-date').checked = policy.date;
+        document.getElementById('metadata-keep-location').checked = policy.location;
         Utils.showModal('branding-modal');
     }
 
+    async updateEncodingSettingsForm() {
+        const settings = Utils.getImageEncodingSettings();
+        const supported = await Utils.getEncodableImageTypes();
+        const formatSelect = document.getElementById('encoding-format');
+        
+        // Formats this browser cannot encode fall back to JPEG, so show them as unavailable
+        Array.from(formatSelect.options).forEach(option => {
+            option.disabled = option.value.startsWith('image/') && !supported.includes(option.value);
+        });
+        
+        formatSelect.value = settings.format;
+        document.getElementById('encoding-quality').value = settings.quality;
+        document.getElementById('encoding-max-size').value = settings.maxSizeMB;
+        document.getElementById('encoding-support').textContent =
+            `This browser can encode: ${supported.map(type => this.getImageFormatName(type)).join(', ')}`;
+    }
+
+    /**
+     * Re-encode every stored photo with the current settings, keeping each new copy only when it is
+     * smaller. Frees IndexedDB space after switching to a more efficient format.
+     */
+    async reencodePhotos() {
+        if (!this.requirePermission('photos:edit')) return;
+        
+        const confirmed = await Utils.showConfirm(
+            'Re-encode all photos with the current settings? Each photo is only replaced if the new file is smaller, but re-encoding is lossy and cannot be undone.',
+            'Re-encode Photos'
+        );
+        if (!confirmed) return;
+        
+        const button = document.getElementById('reencode-photos-btn');
+        const status = document.getElementById('reencode-status');
+        const settings = Utils.getImageEncodingSettings();
+        const report = [];
+        let failed = 0;
+        
+        button.disabled = true;
+        
+        try {
+            const photos = await db.getAllPhotos();
+            
+            for (const [index, photo] of photos.entries()) {
+                status.textContent = `Re-encoding ${index + 1} of ${photos.length}...`;
+                
+                try {
+                    const encoded = await Utils.encodeImage(photo.blob, {
+                        type: await Utils.resolveImageOutputType(settings.format, photo.blob.type),
+                        quality: settings.quality,
+                        maxSizeMB: settings.maxSizeMB
+                    });
+                    
+                    if (encoded.blob.size < photo.blob.size) {
+                        await db.replacePhotoImage(photo.id, encoded.blob, {
+                            type: encoded.type,
+                            quality: encoded.quality,
+                            originalSize: (photo.encoding && photo.encoding.originalSize) || photo.blob.size
+                        });
+                        report.push({ type: encoded.type, originalSize: photo.blob.size, size: encoded.blob.size });
+                    }
+                } catch (error) {
+                    console.error(`Failed to re-encode photo ${photo.id}:`, error);
+                    failed++;
+                }
+            }
+            
+            const summary = report.length > 0
+                ? `${report.length} of ${photos.length} photos re-encoded (${this.describeSizeChange(report)})`
+                : `No photos got smaller (${photos.length} checked)`;
+            status.textContent = failed > 0 ? `${summary}. ${failed} failed.` : summary;
+            Utils.showToast(summary, failed > 0 ? 'error' : 'success', 6000);
+            
+            await this.loadCurrentTab();
+        } catch (error) {
+            console.error('Failed to re-encode photos:', error);
+            status.textContent = '';
+            Utils.showToast('Failed to re-encode photos', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
     async updateAssetPreviews() {
         const assets = ['backgroundImage', 'headerLogo', 'favicon'];
         const previewIds = ['bg-preview', 'logo-preview', 'favicon-preview'];
@@ -823,14 +2782,17 @@ class App {
     }
 
     async updateAsset(assetKey, file) {
-        // Only allow asset updates in admin mode
-        if (!this.isAdminMode) {
-            Utils.showToast('Admin access required to update assets', 'error');
-            return;
-        }
+        if (!this.requirePermission('branding:edit')) return;
         
         try {
-            await db.putAsset(assetKey, file);
+            // Branding images are stored as uploaded, so remove GPS and other metadata first.
+            // Rotated photos are re-encoded upright because stripping also drops their orientation.
+            const orientation = Exif.getOrientation(await Exif.readTags(file));
+            const blob = orientation > 1
+                ? await Utils.compressImage(file, 2, 4096, orientation)
+                : await Exif.stripMetadata(file);
+            
+            await db.putAsset(assetKey, blob);
             await this.loadBrandingAssets();
             await this.updateAssetPreviews();
             
@@ -848,17 +2810,25 @@ class App {
     }
 
     async exportAllData() {
-        // Only allow data export in admin mode
-        if (!this.isAdminMode) {
-            Utils.showToast('Admin access required to export data', 'error');
-            return;
-        }
+        if (!this.requirePermission('data:export')) return;
+        
+        const filename = `sam-pinkelman-world-backup-${new Date().toISOString().split('T')[0]}.zip`;
         
         try {
+            // Stream straight to disk where the browser supports it, so large portfolios fit in memory
+            let writable = null;
+            try {
+                writable = await Utils.openSaveStream(filename, 'Backup archive', { 'application/zip': ['.zip'] });
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.warn('Save picker unavailable, falling back to download:', error);
+            }
+            
             Utils.showToast('Exporting data...', 'info');
-            const data = await db.exportAll();
-            const filename = `sam-pinkelman-world-backup-${new Date().toISOString().split('T')[0]}.json`;
-            Utils.downloadAsFile(data, filename);
+            const archive = await db.exportAll(writable);
+            if (archive) {
+                Utils.downloadBlob(archive, filename);
+            }
             Utils.showToast('Data exported successfully', 'success');
         } catch (error) {
             console.error('Failed to export data:', error);
@@ -866,36 +2836,164 @@ class App {
         }
     }
 
-    async importAllData(file) {
-        // Only allow data import in admin mode
-        if (!this.isAdminMode) {
-            Utils.showToast('Admin access required to import data', 'error');
-            return;
-        }
+    /**
+     * Export the open album with its sub-albums and photos, to merge into another copy of the site
+     */
+    async exportCurrentAlbum() {
+        if (!this.currentAlbum || !this.requirePermission('data:export')) return;
+        
+        const album = this.currentAlbum;
+        const filename = `${Utils.toSafeFilename(album.name, 'album')}-album-${new Date().toISOString().split('T')[0]}.zip`;
         
         try {
-            const text = await Utils.readFileAsText(file);
-            const data = JSON.parse(text);
+            let writable = null;
+            try {
+                writable = await Utils.openSaveStream(filename, 'Album archive', { 'application/zip': ['.zip'] });
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.warn('Save picker unavailable, falling back to download:', error);
+            }
             
+            Utils.showToast('Exporting album...', 'info');
+            const archive = await db.exportAll(writable, { albumId: album.id });
+            if (archive) {
+                Utils.downloadBlob(archive, filename);
+            }
+            Utils.showToast('Album exported successfully', 'success');
+        } catch (error) {
+            console.error('Failed to export album:', error);
+            Utils.showToast('Failed to export album', 'error');
+        }
+    }
+
+    async importAllData(file) {
+        // Importing replaces everything, so it needs both import and clear permissions
+        if (!this.requirePermission('data:import') || !this.requirePermission('data:clear')) return;
+        
+        try {
             const confirmed = await Utils.showConfirm(
                 'This will replace all current data. Are you sure you want to continue?',
                 'Import Data'
             );
             
-            if (confirmed) {
+            // The only path that clears all data, so it is gated like the other destructive actions
+            if (confirmed && await this.confirmIdentity('Enter your password to replace all data.')) {
                 Utils.showToast('Importing data...', 'info');
-                await db.importAll(data);
+                const result = await db.importAll(file);
                 
                 // Reload everything
                 await this.loadBrandingAssets();
                 await this.loadCurrentTab();
+                this.backfillRenditions();
+                this.backfillEssayContent();
                 
-                Utils.showToast('Data imported successfully', 'success');
+                if (result && result.verified === false) {
+                    Utils.showToast('Data imported, but it does not match the backup exactly', 'error', 6000);
+                } else if (result && result.verified) {
+                    Utils.showToast('Data imported and verified against the backup', 'success');
+                } else {
+                    Utils.showToast('Data imported successfully', 'success');
+                }
                 Utils.hideModal('branding-modal');
             }
         } catch (error) {
             console.error('Failed to import data:', error);
-            Utils.showToast('Failed to import data. Please check the file format.', 'error');
+            Utils.showToast(
+                error.code === 'partial-backup' ? error.message : 'Failed to import data. Please check the file format.',
+                'error'
+            );
+        }
+    }
+
+    async previewMergeImport(file) {
+        if (!this.requirePermission('data:import')) return;
+        
+        try {
+            const data = await db.readBackup(file);
+            this.mergePlan = await db.planMerge(data);
+            this.renderMergePreview();
+        } catch (error) {
+            console.error('Failed to read backup for merge:', error);
+            Utils.showToast('Failed to read backup. Please check the file format.', 'error');
+        }
+    }
+
+    renderMergePreview() {
+        const items = this.mergePlan.items;
+        const count = status => items.filter(item => item.status === status).length;
+        
+        document.getElementById('merge-summary').textContent =
+            `${count('added')} added · ${count('changed')} changed · ` +
+            `${count('conflict')} conflicts · ${count('unchanged')} unchanged`;
+        
+        const typeNames = {
+            'assets': 'Asset',
+            'albums': 'Album',
+            'essays': 'Essay',
+            'videos': 'Video'
+        };
+        
+        const actionNames = {
+            'add': 'Add',
+            'skip': 'Skip',
+            'keep': 'Keep mine',
+            'replace': 'Replace with backup',
+            'duplicate': 'Keep both'
+        };
+        
+        const rows = items.filter(item => item.status !== 'unchanged').map(item => {
+            const detail = item.storeName === 'albums'
+                ? ` (${item.incomingPhotos.length} photos)`
+                : '';
+            const options = item.actions.map(action => `
+                <option value="${action}" ${action === item.action ? 'selected' : ''}>${actionNames[action]}</option>
+            `).join('');
+            
+            return `
+                <div class="merge-item">
+                    <span class="merge-status ${item.status}">${item.status}</span>
+                    <span class="merge-label">${typeNames[item.storeName]}: ${Utils.escapeHtml(item.label || '')}${detail}</span>
+                    <select class="merge-action" data-key="${item.key}">${options}</select>
+                </div>
+            `;
+        });
+        
+        document.getElementById('merge-items').innerHTML = rows.length > 0
+            ? rows.join('')
+            : '<p class="empty-state">Nothing to merge - everything in this backup is already here.</p>';
+        document.getElementById('merge-apply-btn').disabled = rows.length === 0;
+        document.getElementById('merge-preview').style.display = 'block';
+    }
+
+    hideMergePreview() {
+        this.mergePlan = null;
+        document.getElementById('merge-preview').style.display = 'none';
+        document.getElementById('merge-items').innerHTML = '';
+    }
+
+    async applyMergeImport() {
+        if (!this.mergePlan || !this.requirePermission('data:import')) return;
+        if (!await this.confirmIdentity('Enter your password to merge this backup.')) return;
+        
+        try {
+            Utils.showToast('Merging data...', 'info');
+            const counts = await db.applyMerge(this.mergePlan);
+            this.hideMergePreview();
+            
+            // Reload everything
+            await this.loadBrandingAssets();
+            await this.loadCurrentTab();
+            await this.updateAssetPreviews();
+            this.backfillRenditions();
+            this.backfillEssayContent();
+            
+            Utils.showToast(
+                `Merged: ${counts.add} added, ${counts.replace} replaced, ${counts.duplicate} duplicated`,
+                'success'
+            );
+        } catch (error) {
+            console.error('Failed to merge data:', error);
+            Utils.showToast('Failed to merge data', 'error');
         }
     }
 }
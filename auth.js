@@ -0,0 +1,320 @@
+/**
+ * Admin authentication for Sam Pinkelman World
+ * Providers share one interface, so a local emulator or mock can stand in for Firebase Auth
+ */
+
+/**
+ * Interface every auth provider implements. Users are plain objects: { uid, email, displayName }
+ * AuthService adds { role, sections } from getRole() before handing users to the app.
+ */
+class AuthProvider {
+    /**
+     * Sign in with email and password
+     * @returns {Promise<Object>} - Signed-in user
+     */
+    async signIn(email, password) {
+        throw new Error('signIn not implemented');
+    }
+
+    async signOut() {
+        throw new Error('signOut not implemented');
+    }
+
+    /**
+     * Confirm the signed-in user's password again before a destructive action
+     * @param {Object} user - Signed-in user
+     * @param {string} password - Password to check
+     */
+    async reauthenticate(user, password) {
+        throw new Error('reauthenticate not implemented');
+    }
+
+    /**
+     * Subscribe to sign-in/sign-out, including the session restored on page load
+     * @param {Function} callback - Called with the user, or null when signed out
+     * @returns {Function} - Unsubscribe function
+     */
+    onAuthStateChanged(callback) {
+        throw new Error('onAuthStateChanged not implemented');
+    }
+
+    /**
+     * Look up a user's role. Users without an assigned role are viewers.
+     * @param {Object} user - Signed-in user
+     * @returns {Promise<Object>} - { role: 'owner'|'editor'|'viewer', sections: ['photos', ...] }
+     */
+    async getRole(user) {
+        return { role: 'viewer', sections: [] };
+    }
+}
+
+class FirebaseAuthProvider extends AuthProvider {
+    constructor(firebaseAuth, functions, firestore = null) {
+        super();
+        this.firebaseAuth = firebaseAuth;
+        this.functions = functions;
+        this.firestore = firestore;
+    }
+
+    async signIn(email, password) {
+        const credential = await this.functions.signInWithEmailAndPassword(this.firebaseAuth, email, password);
+        return this.toUser(credential.user);
+    }
+
+    async signOut() {
+        await this.functions.signOut(this.firebaseAuth);
+    }
+
+    async reauthenticate(user, password) {
+        const credential = this.functions.EmailAuthProvider.credential(user.email, password);
+        await this.functions.reauthenticateWithCredential(this.firebaseAuth.currentUser, credential);
+    }
+
+    // Firebase persists the session in IndexedDB and restores it before the first callback
+    onAuthStateChanged(callback) {
+        return this.functions.onAuthStateChanged(this.firebaseAuth, (user) => {
+            callback(user ? this.toUser(user) : null);
+        });
+    }
+
+    // Roles live in Firestore at roles/{uid}: { role, sections }. Security rules should let
+    // users read their own document and only owners write to the collection.
+    async getRole(user) {
+        if (!this.firestore) {
+            return super.getRole(user);
+        }
+
+        const snapshot = await this.functions.getDoc(this.functions.doc(this.firestore, 'roles', user.uid));
+        if (!snapshot.exists()) {
+            return super.getRole(user);
+        }
+
+        const data = snapshot.data();
+        return { role: data.role, sections: data.sections || [] };
+    }
+
+    toUser(user) {
+        return {
+            uid: user.uid,
+            email: user.email,
+            displayName: user.displayName
+        };
+    }
+}
+
+/**
+ * In-memory provider for tests and local development. Never used on a public host.
+ */
+class MockAuthProvider extends AuthProvider {
+    /**
+     * @param {Array<Object>} users - Accounts as { uid, email, password, role, sections }
+     * @param {Storage} storage - Where the session persists (default: sessionStorage)
+     */
+    constructor(users = [], storage = window.sessionStorage) {
+        super();
+        this.users = users;
+        this.storage = storage;
+        this.storageKey = 'mock-auth-user';
+        this.listeners = new Set();
+        this.currentUser = this.loadSession();
+    }
+
+    async signIn(email, password) {
+        const account = this.users.find(u => u.email === email && u.password === password);
+        if (!account) {
+            const error = new Error('Invalid email or password');
+            error.code = 'auth/invalid-credential';
+            throw error;
+        }
+
+        this.setCurrentUser({ uid: account.uid || email, email: account.email, displayName: account.displayName || null });
+        return this.currentUser;
+    }
+
+    async signOut() {
+        this.setCurrentUser(null);
+    }
+
+    async reauthenticate(user, password) {
+        const account = this.users.find(u => u.email === user.email && u.password === password);
+        if (!account) {
+            const error = new Error('Invalid email or password');
+            error.code = 'auth/invalid-credential';
+            throw error;
+        }
+    }
+
+    async getRole(user) {
+        const account = this.users.find(u => u.email === user.email);
+        if (!account || !account.role) {
+            return super.getRole(user);
+        }
+        return { role: account.role, sections: account.sections || [] };
+    }
+
+    onAuthStateChanged(callback) {
+        this.listeners.add(callback);
+        setTimeout(() => callback(this.currentUser), 0);
+        return () => this.listeners.delete(callback);
+    }
+
+    setCurrentUser(user) {
+        this.currentUser = user;
+
+        if (this.storage) {
+            if (user) {
+                this.storage.setItem(this.storageKey, JSON.stringify(user));
+            } else {
+                this.storage.removeItem(this.storageKey);
+            }
+        }
+
+        this.listeners.forEach(listener => listener(user));
+    }
+
+    loadSession() {
+        try {
+            const saved = this.storage && this.storage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+/**
+ * App-facing auth service. Wraps whichever provider is active.
+ */
+class AuthService {
+    constructor() {
+        this.provider = null;
+        this.user = null;
+        this.listeners = new Set();
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Pick a provider for this page. On localhost, ?auth=mock selects the mock provider
+     * (accounts from window.MOCK_AUTH_USERS); otherwise Firebase Auth is used.
+     * @returns {AuthProvider|null} - Provider, or null if Firebase failed to load
+     */
+    static createProvider() {
+        const isLocalhost = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+        const params = new URLSearchParams(window.location.search);
+
+        if (isLocalhost && params.get('auth') === 'mock') {
+            return new MockAuthProvider(window.MOCK_AUTH_USERS || []);
+        }
+
+        if (window.firebaseAuth && window.FirebaseFunctions) {
+            return new FirebaseAuthProvider(window.firebaseAuth, window.FirebaseFunctions, window.firestore);
+        }
+
+        return null;
+    }
+
+    /**
+     * Start listening to the provider
+     * @param {AuthProvider} provider - Active provider
+     * @returns {Promise<Object|null>} - User restored from a previous session, if any
+     */
+    init(provider) {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+        }
+
+        this.provider = provider;
+        if (!provider) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve) => {
+            let restored = false;
+            this.unsubscribe = provider.onAuthStateChanged(async (providerUser) => {
+                const user = providerUser ? await this.withRole(providerUser) : null;
+                this.user = user;
+                if (!restored) {
+                    restored = true;
+                    resolve(user);
+                }
+                this.listeners.forEach(listener => listener(user));
+            });
+        });
+    }
+
+    isAvailable() {
+        return !!this.provider;
+    }
+
+    isSignedIn() {
+        return !!this.user;
+    }
+
+    async signIn(email, password) {
+        if (!this.provider) {
+            throw new Error('Sign-in is unavailable');
+        }
+        return this.withRole(await this.provider.signIn(email, password));
+    }
+
+    async signOut() {
+        if (this.provider) {
+            await this.provider.signOut();
+        }
+    }
+
+    async reauthenticate(password) {
+        if (!this.provider || !this.user) {
+            throw new Error('Not signed in');
+        }
+        await this.provider.reauthenticate(this.user, password);
+    }
+
+    /**
+     * Attach the user's role. If the lookup fails the user is treated as a viewer.
+     * @param {Object} user - User from the provider
+     * @returns {Promise<Object>} - User with role and sections
+     */
+    async withRole(user) {
+        try {
+            const { role, sections } = await this.provider.getRole(user);
+            return { ...user, role, sections };
+        } catch (error) {
+            console.warn('Failed to load role, continuing as viewer:', error);
+            return { ...user, role: 'viewer', sections: [] };
+        }
+    }
+
+    /**
+     * Subscribe to sign-in/sign-out
+     * @param {Function} listener - Called with the user, or null
+     * @returns {Function} - Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Turn a provider error into a message for the admin
+     */
+    static getErrorMessage(error) {
+        const messages = {
+            'auth/invalid-credential': 'Incorrect email or password',
+            'auth/invalid-email': 'Incorrect email or password',
+            'auth/wrong-password': 'Incorrect email or password',
+            'auth/user-not-found': 'Incorrect email or password',
+            'auth/user-disabled': 'This account has been disabled',
+            'auth/too-many-requests': 'Too many attempts. Try again later',
+            'auth/network-request-failed': 'Network error. Check your connection'
+        };
+        return messages[error && error.code] || 'Sign-in failed';
+    }
+}
+
+// Export auth classes and create global auth instance
+window.AuthProvider = AuthProvider;
+window.FirebaseAuthProvider = FirebaseAuthProvider;
+window.MockAuthProvider = MockAuthProvider;
+window.AuthService = AuthService;
+window.auth = new AuthService();
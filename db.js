@@ -6,12 +6,40 @@
 class Database {
     constructor() {
         this.dbName = 'sam-pinkelman-world-v1';
-        this.version = 1;
+        this.migrations = window.DatabaseMigrations;
+        this.version = this.migrations[this.migrations.length - 1].version;
         this.db = null;
+        
+        // Backup archive layout
+        this.backupFormat = 'sam-pinkelman-world-backup';
+        this.assetKeys = ['backgroundImage', 'headerLogo', 'favicon'];
+        this.blobFields = {
+            assets: ['blob'],
+            photos: ['blob'],
+            essays: ['pdfBlob', 'coverBlob']
+        };
+        
+        // Editable per-photo details, stored as strings on the photo record
+        this.photoMetadataFields = ['title', 'caption', 'alt', 'date', 'location'];
+        
+        // Smaller copies of each photo, smallest first; the original blob is the full size
+        this.renditionSizes = {
+            thumb: { maxDimension: 512, maxSizeMB: 0.25 },
+            medium: { maxDimension: 1600, maxSizeMB: 1 }
+        };
+        
+        // Read from each essay's PDF: the text for search, and the stats and excerpt shown on its card
+        this.essayContentFields = ['text', 'pageCount', 'wordCount', 'readingMinutes', 'excerpt'];
+        
+        // Fields rebuilt locally from other data, so they are left out of backups and fingerprints
+        this.derivedFields = { photos: ['renditions'], essays: this.essayContentFields };
+        
+        // Set by the app once auth resolves; null means unrestricted (first-run setup only)
+        this.permissions = null;
     }
 
     async init() {
-        return new Promise((resolve, reject) => {
+        await new Promise((resolve, reject) => {
             const request = indexedDB.open(this.dbName, this.version);
             
             request.onerror = () => reject(request.error);
@@ -21,43 +49,171 @@ class Database {
             };
             
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Assets store (background, logo, favicon)
-                if (!db.objectStoreNames.contains('assets')) {
-                    const assetsStore = db.createObjectStore('assets', { keyPath: 'key' });
-                }
-                
-                // Albums store
-                if (!db.objectStoreNames.contains('albums')) {
-                    const albumsStore = db.createObjectStore('albums', { keyPath: 'id', autoIncrement: true });
-                    albumsStore.createIndex('order', 'order', { unique: false });
-                }
-                
-                // Photos store
-                if (!db.objectStoreNames.contains('photos')) {
-                    const photosStore = db.createObjectStore('photos', { keyPath: 'id', autoIncrement: true });
-                    photosStore.createIndex('albumId', 'albumId', { unique: false });
-                    photosStore.createIndex('order', 'order', { unique: false });
-                }
-                
-                // Essays store
-                if (!db.objectStoreNames.contains('essays')) {
-                    const essaysStore = db.createObjectStore('essays', { keyPath: 'id', autoIncrement: true });
-                    essaysStore.createIndex('order', 'order', { unique: false });
-                }
+                this.runMigrations(event.target.result, event.target.transaction, event.oldVersion);
+            };
+        });
+        
+        // Databases upgraded from before search existed start with an empty index
+        await this.ensureSearchIndex();
+        
+        return this.db;
+    }
+
+    // Schema migrations
+    getPendingMigrations(fromVersion) {
+        return this.migrations.filter(migration => migration.version > fromVersion);
+    }
+
+    runMigrations(db, transaction, oldVersion) {
+        const pending = this.getPendingMigrations(oldVersion);
+        
+        // Schema changes first, in version order
+        for (const migration of pending) {
+            if (migration.upgrade) {
+                migration.upgrade(db, transaction);
+            }
+        }
+        
+        // Then a single cursor pass per store applies every pending record transform in order.
+        // A fresh database (oldVersion 0) has no records to transform.
+        if (oldVersion === 0) return;
+        
+        const storeNames = new Set();
+        pending.forEach(migration => {
+            Object.keys(migration.transforms || {}).forEach(storeName => storeNames.add(storeName));
+        });
+        
+        for (const storeName of storeNames) {
+            if (!db.objectStoreNames.contains(storeName)) continue;
+            
+            const request = transaction.objectStore(storeName).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
                 
-                // Videos store
-                if (!db.objectStoreNames.contains('videos')) {
-                    const videosStore = db.createObjectStore('videos', { keyPath: 'id', autoIncrement: true });
-                    videosStore.createIndex('order', 'order', { unique: false });
-                }
+                cursor.update(this.transformRecord(storeName, cursor.value, pending));
+                cursor.continue();
             };
+            request.onerror = () => console.error(`Failed to migrate ${storeName}:`, request.error);
+        }
+    }
+
+    transformRecord(storeName, record, migrations) {
+        return migrations.reduce((current, migration) => {
+            const transform = migration.transforms && migration.transforms[storeName];
+            return transform ? transform(current) : current;
+        }, record);
+    }
+
+    /**
+     * Bring exported data from an older schema version up to the current one
+     * using the same record transforms as the IndexedDB upgrade path
+     */
+    migrateData(data) {
+        const pending = this.getPendingMigrations(data.version);
+        if (pending.length === 0) return data;
+        
+        const migrated = { ...data, version: this.version, migratedFrom: data.version };
+        
+        for (const storeName of ['albums', 'photos', 'essays', 'videos']) {
+            migrated[storeName] = (data[storeName] || []).map(record => {
+                return this.transformRecord(storeName, { ...record }, pending);
+            });
+        }
+        
+        migrated.assets = {};
+        for (const [key, asset] of Object.entries(data.assets || {})) {
+            migrated.assets[key] = this.transformRecord('assets', { ...asset }, pending);
+        }
+        
+        return migrated;
+    }
+
+    // Permissions
+    setPermissions(permissions) {
+        this.permissions = permissions;
+    }
+
+    /**
+     * Reject a write the current role is not allowed to make, whatever UI triggered it
+     * @param {string} action - Action such as 'photos:edit' or 'data:clear'
+     */
+    assertPermission(action) {
+        if (this.permissions) {
+            this.permissions.assert(action);
+        }
+    }
+
+    /**
+     * Generate a stable identity that survives export/import (unlike autoIncrement ids)
+     * @returns {string} - Random UUID
+     */
+    static generateUid() {
+        if (crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Generic record operations
+    async getAllRecords(storeName) {
+        const transaction = this.db.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getRecord(storeName, id) {
+        const transaction = this.db.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async putRecord(storeName, record) {
+        const transaction = this.db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        
+        return new Promise((resolve, reject) => {
+            const request = store.put(record);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
         });
     }
 
+    /**
+     * Add a copy of a record under a new id, keeping all other fields
+     * @returns {Promise<number>} - New record id
+     */
+    async insertRecord(storeName, record) {
+        const { id, ...recordData } = record;
+        return this.putRecord(storeName, recordData);
+    }
+
     // Asset operations
     async putAsset(key, file) {
+        this.assertPermission('branding:edit');
+        return this.cacheAsset(key, file);
+    }
+
+    /**
+     * Store an asset without a permission check. Used by putAsset, and by the cloud wrapper to
+     * keep a local copy of branding downloaded for any visitor; not for user edits.
+     * @param {string} key - Asset key
+     * @param {Blob} file - Asset file
+     * @param {string} updatedAt - When the asset last changed (default: now)
+     */
+    async cacheAsset(key, file, updatedAt = new Date().toISOString()) {
         const transaction = this.db.transaction(['assets'], 'readwrite');
         const store = transaction.objectStore('assets');
         
@@ -65,7 +221,7 @@ class Database {
             key,
             blob: file,
             mime: file.type,
-            updatedAt: new Date().toISOString()
+            updatedAt
         };
         
         return new Promise((resolve, reject) => {
@@ -87,13 +243,24 @@ class Database {
     }
 
     // Album operations
-    async createAlbum(name) {
+    /**
+     * Create an album
+     * @param {string} name - Album name
+     * @param {number|null} parentId - Album to create it in, or null for a top-level album
+     * @returns {Promise<number>} - New album ID
+     */
+    async createAlbum(name, parentId = null) {
+        this.assertPermission('photos:edit');
+        
         // First get all albums to determine order, then add in a separate transaction
         const albums = await this.getAllAlbums();
-        const maxOrder = albums.length > 0 ? Math.max(...albums.map(a => a.order || 0)) : 0;
+        const siblings = Database.getChildAlbums(albums, parentId);
+        const maxOrder = siblings.length > 0 ? Math.max(...siblings.map(a => a.order || 0)) : 0;
         
         const albumData = {
+            uid: Database.generateUid(),
             name,
+            parentId,
             order: maxOrder + 1,
             createdAt: new Date().toISOString()
         };
@@ -102,11 +269,14 @@ class Database {
         const transaction = this.db.transaction(['albums'], 'readwrite');
         const store = transaction.objectStore('albums');
         
-        return new Promise((resolve, reject) => {
+        const id = await new Promise((resolve, reject) => {
             const request = store.add(albumData);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        
+        await this.updateSearchIndex('albums', [id]);
+        return id;
     }
 
     async getAllAlbums() {
@@ -124,10 +294,12 @@ class Database {
     }
 
     async renameAlbum(id, name) {
+        this.assertPermission('photos:edit');
+        
         const transaction = this.db.transaction(['albums'], 'readwrite');
         const store = transaction.objectStore('albums');
         
-        return new Promise(async (resolve, reject) => {
+        const result = await new Promise((resolve, reject) => {
             const getRequest = store.get(id);
             getRequest.onsuccess = () => {
                 const album = getRequest.result;
@@ -145,27 +317,177 @@ class Database {
             };
             getRequest.onerror = () => reject(getRequest.error);
         });
+        
+        await this.updateSearchIndex('albums', [id]);
+        return result;
+    }
+
+    /**
+     * Choose the photo shown on an album's card, or go back to the automatic choice
+     * @param {number} id - Album ID
+     * @param {string|null} photoUid - uid of the cover photo (stable across backups and merges), or null
+     * @param {Object} focus - Optional focal point { x, y } in percent of the photo, kept in view when cropped
+     * @returns {Promise<Object>} - Updated album record
+     */
+    async setAlbumCover(id, photoUid, focus = null) {
+        this.assertPermission('photos:edit');
+        
+        const transaction = this.db.transaction(['albums'], 'readwrite');
+        const store = transaction.objectStore('albums');
+        
+        return new Promise((resolve, reject) => {
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                const album = getRequest.result;
+                if (!album) {
+                    reject(new Error('Album not found'));
+                    return;
+                }
+                
+                if (photoUid) {
+                    album.coverPhotoUid = photoUid;
+                    album.coverFocus = focus ? Database.clampFocus(focus) : { x: 50, y: 50 };
+                } else {
+                    delete album.coverPhotoUid;
+                    delete album.coverFocus;
+                }
+                album.updatedAt = new Date().toISOString();
+                
+                const putRequest = store.put(album);
+                putRequest.onsuccess = () => resolve(album);
+                putRequest.onerror = () => reject(putRequest.error);
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    }
+
+    static clampFocus({ x, y }) {
+        const clamp = value => Math.min(100, Math.max(0, Math.round(Number(value) || 0)));
+        return { x: clamp(x), y: clamp(y) };
+    }
+
+    /**
+     * Move an album (with its photos and sub-albums) into another album, or to the top level
+     * @param {number} id - Album ID
+     * @param {number|null} parentId - New parent album, or null for the top level
+     * @returns {Promise<Object>} - Updated album record
+     */
+    async moveAlbum(id, parentId) {
+        this.assertPermission('photos:edit');
+        
+        const albums = await this.getAllAlbums();
+        const album = albums.find(a => a.id === id);
+        if (!album) {
+            throw new Error('Album not found');
+        }
+        
+        if (parentId !== null && (parentId === id || Database.getDescendantIds(albums, id).includes(parentId))) {
+            const error = new Error('An album cannot be moved into itself or one of its sub-albums');
+            error.code = 'invalid-parent';
+            throw error;
+        }
+        
+        if (parentId !== null && !albums.some(a => a.id === parentId)) {
+            throw new Error('Album not found');
+        }
+        
+        // Place it after its new siblings
+        const siblings = Database.getChildAlbums(albums, parentId).filter(a => a.id !== id);
+        const maxOrder = siblings.length > 0 ? Math.max(...siblings.map(a => a.order || 0)) : 0;
+        
+        const updated = { ...album, parentId, order: maxOrder + 1, updatedAt: new Date().toISOString() };
+        await this.putRecord('albums', updated);
+        return updated;
     }
 
+    /**
+     * Delete an album together with its sub-albums and all of their photos, in one transaction
+     * @param {number} id - Album ID
+     * @returns {Promise<Array<number>>} - IDs of every deleted album
+     */
     async deleteAlbum(id) {
+        this.assertPermission('photos:edit');
+        
+        const albums = await this.getAllAlbums();
+        const albumIds = [id, ...Database.getDescendantIds(albums, id)];
+        
         const transaction = this.db.transaction(['albums', 'photos'], 'readwrite');
         const albumStore = transaction.objectStore('albums');
         const photoStore = transaction.objectStore('photos');
+        const photoIds = [];
+        
+        await new Promise((resolve, reject) => {
+            albumIds.forEach(albumId => {
+                const keysRequest = photoStore.index('albumId').getAllKeys(albumId);
+                keysRequest.onsuccess = () => {
+                    keysRequest.result.forEach(photoId => photoStore.delete(photoId));
+                    photoIds.push(...keysRequest.result);
+                };
+                albumStore.delete(albumId);
+            });
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        
+        await this.removeFromSearchIndex('albums', albumIds);
+        await this.removeFromSearchIndex('photos', photoIds);
+        return albumIds;
+    }
+
+    // Album hierarchy helpers. Each takes the full album list, so they work the same
+    // for local and cloud albums. Albums whose parent no longer exists count as top-level.
+    /**
+     * Albums directly inside a parent, in display order
+     * @param {Array<Object>} albums - All albums
+     * @param {number|null} parentId - Parent album, or null for top-level albums
+     */
+    static getChildAlbums(albums, parentId) {
+        const ids = new Set(albums.map(album => album.id));
+        return albums
+            .filter(album => {
+                const parent = album.parentId !== undefined && ids.has(album.parentId) ? album.parentId : null;
+                return parent === parentId;
+            })
+            .sort((a, b) => (a.order || 0) - (b.order || 0));
+    }
+
+    /**
+     * IDs of every album nested anywhere below an album
+     */
+    static getDescendantIds(albums, id) {
+        const ids = [];
+        const visit = (parentId) => {
+            Database.getChildAlbums(albums, parentId).forEach(child => {
+                if (child.id === id || ids.includes(child.id)) return;
+                ids.push(child.id);
+                visit(child.id);
+            });
+        };
+        visit(id);
+        return ids;
+    }
+
+    /**
+     * An album and its ancestors, outermost first (e.g. Travel › Japan › Kyoto)
+     */
+    static getAlbumPath(albums, id) {
+        const byId = new Map(albums.map(album => [album.id, album]));
+        const path = [];
+        let album = byId.get(id);
         
-        // Delete all photos in the album first
-        const photos = await this.getPhotosByAlbum(id);
-        for (const photo of photos) {
-            await this.removePhoto(photo.id);
+        while (album && !path.includes(album)) {
+            path.unshift(album);
+            album = byId.get(album.parentId);
         }
         
-        return new Promise((resolve, reject) => {
-            const request = albumStore.delete(id);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+        return path;
     }
 
     async reorderAlbums(idsInOrder) {
+        this.assertPermission('photos:edit');
+        
         const transaction = this.db.transaction(['albums'], 'readwrite');
         const store = transaction.objectStore('albums');
         
@@ -191,12 +513,23 @@ class Database {
     }
 
     // Photo operations
-    async addPhoto(albumId, file) {
+    /**
+     * Add a photo to an album
+     * @param {number} albumId - Album ID
+     * @param {Blob} file - Image to store
+     * @param {Object} details - Optional metadata fields, exif summary (read from the original upload)
+     *                           and encoding report ({ type, quality, originalSize })
+     * @returns {Promise<number>} - New photo ID
+     */
+    async addPhoto(albumId, file, details = {}) {
+        this.assertPermission('photos:edit');
+        
         // First get existing photos to determine order, then add in a separate transaction
         const photos = await this.getPhotosByAlbum(albumId);
         const maxOrder = photos.length > 0 ? Math.max(...photos.map(p => p.order || 0)) : 0;
         
         const photoData = {
+            uid: Database.generateUid(),
             albumId,
             blob: file,
             mime: file.type,
@@ -205,15 +538,293 @@ class Database {
             createdAt: new Date().toISOString()
         };
         
+        this.photoMetadataFields.forEach(field => {
+            if (details[field]) {
+                photoData[field] = String(details[field]).trim();
+            }
+        });
+        
+        if (details.exif) {
+            photoData.exif = details.exif;
+        }
+        
+        if (details.encoding) {
+            photoData.encoding = details.encoding;
+        }
+        
+        photoData.renditions = await this.createRenditions(file);
+        
         // Create a new transaction for the add operation
         const transaction = this.db.transaction(['photos'], 'readwrite');
         const store = transaction.objectStore('photos');
         
-        return new Promise((resolve, reject) => {
+        const id = await new Promise((resolve, reject) => {
             const request = store.add(photoData);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        
+        await this.updateSearchIndex('photos', [id]);
+        return id;
+    }
+
+    /**
+     * Update a photo's title, caption, alt text, date, location or tags
+     * @param {number} id - Photo ID
+     * @param {Object} changes - Fields to change; anything else is ignored. Tags may be an array
+     *                           or a comma-separated string and replace the photo's current tags
+     * @returns {Promise<Object>} - Updated photo record
+     */
+    async updatePhoto(id, changes) {
+        this.assertPermission('photos:edit');
+        
+        const transaction = this.db.transaction(['photos'], 'readwrite');
+        const store = transaction.objectStore('photos');
+        
+        const photo = await new Promise((resolve, reject) => {
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                const photo = getRequest.result;
+                if (!photo) {
+                    reject(new Error('Photo not found'));
+                    return;
+                }
+                
+                this.photoMetadataFields.forEach(field => {
+                    if (changes[field] !== undefined) {
+                        photo[field] = String(changes[field]).trim();
+                    }
+                });
+                if (changes.tags !== undefined) {
+                    photo.tags = Database.normalizeTags(changes.tags);
+                }
+                photo.updatedAt = new Date().toISOString();
+                
+                const putRequest = store.put(photo);
+                putRequest.onsuccess = () => resolve(photo);
+                putRequest.onerror = () => reject(putRequest.error);
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+        
+        await this.updateSearchIndex('photos', [id]);
+        return photo;
+    }
+
+    async getAllPhotos() {
+        return this.getAllRecords('photos');
+    }
+
+    /**
+     * Add tags to several photos at once, keeping the tags they already have
+     * @param {Array<number>} photoIds - Photos to tag
+     * @param {Array<string>|string} tags - Tags to add
+     * @returns {Promise<number>} - Number of photos that gained a tag
+     */
+    async addPhotoTags(photoIds, tags) {
+        this.assertPermission('photos:edit');
+        
+        const added = Database.normalizeTags(tags);
+        const transaction = this.db.transaction(['photos'], 'readwrite');
+        const store = transaction.objectStore('photos');
+        let changed = 0;
+        
+        await new Promise((resolve, reject) => {
+            photoIds.forEach(id => {
+                const getRequest = store.get(id);
+                getRequest.onsuccess = () => {
+                    const photo = getRequest.result;
+                    if (!photo) return;
+                    
+                    const current = photo.tags || [];
+                    const merged = Database.normalizeTags([...current, ...added]);
+                    if (merged.length === current.length) return;
+                    
+                    store.put({ ...photo, tags: merged, updatedAt: new Date().toISOString() });
+                    changed++;
+                };
+            });
+            
+            transaction.oncomplete = () => resolve(changed);
+            transaction.onerror = () => reject(transaction.error);
+        });
+        
+        await this.updateSearchIndex('photos', photoIds);
+        return changed;
+    }
+
+    /**
+     * Photos with a tag, from every album, in album order
+     * @param {string} tag - Tag to look up (matched case-insensitively)
+     */
+    async getPhotosByTag(tag) {
+        const [normalized] = Database.normalizeTags([tag]);
+        if (!normalized) return [];
+        
+        const albums = await this.getAllAlbums();
+        const albumOrder = new Map(albums.map((album, index) => [album.id, index]));
+        
+        const transaction = this.db.transaction(['photos'], 'readonly');
+        const index = transaction.objectStore('photos').index('tags');
+        
+        return new Promise((resolve, reject) => {
+            const request = index.getAll(normalized);
+            request.onsuccess = () => {
+                const position = photo => (albumOrder.has(photo.albumId) ? albumOrder.get(photo.albumId) : albums.length);
+                const photos = request.result.sort((a, b) => position(a) - position(b) || (a.order || 0) - (b.order || 0));
+                resolve(photos);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Every tag in use, with how many photos have it
+     * @returns {Promise<Array<Object>>} - [{ tag, count }] sorted by tag
+     */
+    async getPhotoTags() {
+        const transaction = this.db.transaction(['photos'], 'readonly');
+        const index = transaction.objectStore('photos').index('tags');
+        const counts = new Map();
+        
+        return new Promise((resolve, reject) => {
+            // Key cursors walk the index without loading the photos themselves
+            const request = index.openKeyCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+                    cursor.continue();
+                    return;
+                }
+                resolve(Array.from(counts, ([tag, count]) => ({ tag, count })));
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Clean up free-form tags: trimmed, lower case, single spaces, no leading #, no duplicates
+     * @param {Array<string>|string} tags - Tags, or a comma-separated string of them
+     * @returns {Array<string>} - Tags in the order given
+     */
+    static normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        const normalized = list
+            .map(tag => String(tag).replace(/\s+/g, ' ').trim().replace(/^#+\s*/, '').toLowerCase())
+            .filter(Boolean);
+        return [...new Set(normalized)];
+    }
+
+    /**
+     * Swap a photo's image for a re-encoded copy, regenerating its renditions
+     * @param {number} id - Photo ID
+     * @param {Blob} blob - New image
+     * @param {Object} encoding - { type, quality, originalSize } report for the new image
+     * @returns {Promise<Object>} - Updated photo record
+     */
+    async replacePhotoImage(id, blob, encoding) {
+        this.assertPermission('photos:edit');
+        
+        const renditions = await this.createRenditions(blob);
+        const transaction = this.db.transaction(['photos'], 'readwrite');
+        const store = transaction.objectStore('photos');
+        
+        return new Promise((resolve, reject) => {
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                const photo = getRequest.result;
+                if (!photo) {
+                    reject(new Error('Photo not found'));
+                    return;
+                }
+                
+                photo.blob = blob;
+                photo.mime = blob.type;
+                photo.size = blob.size;
+                photo.encoding = encoding;
+                photo.renditions = renditions;
+                photo.updatedAt = new Date().toISOString();
+                
+                const putRequest = store.put(photo);
+                putRequest.onsuccess = () => resolve(photo);
+                putRequest.onerror = () => reject(putRequest.error);
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    }
+
+    /**
+     * Generate the thumbnail and medium renditions of an image
+     * @param {Blob} blob - Full-size image
+     * @returns {Promise<Object|null>} - { thumb, medium } blobs (sizes the original already fits are
+     *                                   left out), or null if they could not be generated
+     */
+    async createRenditions(blob) {
+        try {
+            return await Utils.createImageRenditions(blob, this.renditionSizes);
+        } catch (error) {
+            console.warn('Failed to create photo renditions:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Pick the best stored image for a display size, falling back to the next larger one
+     * @param {Object} photo - Photo record
+     * @param {string} size - 'thumb', 'medium' or 'full'
+     * @returns {Blob} - Image blob
+     */
+    getRendition(photo, size) {
+        const names = Object.keys(this.renditionSizes);
+        const renditions = photo.renditions || {};
+        
+        if (names.includes(size)) {
+            for (const name of names.slice(names.indexOf(size))) {
+                if (renditions[name]) return renditions[name];
+            }
+        }
+        
+        return photo.blob;
+    }
+
+    /**
+     * Photos stored before renditions existed, or restored from a backup (which leaves them out)
+     * @returns {Promise<Array>} - Photo records without renditions
+     */
+    async getPhotosWithoutRenditions() {
+        const photos = await this.getAllRecords('photos');
+        return photos.filter(photo => !photo.renditions && photo.blob);
+    }
+
+    /**
+     * Store renditions generated for an existing photo. Renditions are derived from the photo
+     * itself, so this needs no permission; it is skipped if the photo changed in the meantime.
+     * @param {number} id - Photo ID
+     * @param {Object} renditions - { thumb, medium } blobs
+     * @param {Blob} source - The blob the renditions were made from
+     * @returns {Promise<boolean>} - True if stored
+     */
+    async setPhotoRenditions(id, renditions, source) {
+        const transaction = this.db.transaction(['photos'], 'readwrite');
+        const store = transaction.objectStore('photos');
+        
+        return new Promise((resolve, reject) => {
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                const photo = getRequest.result;
+                if (!photo || !photo.blob || photo.blob.size !== source.size || photo.blob.type !== source.type) {
+                    resolve(false);
+                    return;
+                }
+                
+                photo.renditions = renditions;
+                const putRequest = store.put(photo);
+                putRequest.onsuccess = () => resolve(true);
+                putRequest.onerror = () => reject(putRequest.error);
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+        });
     }
 
     async getPhotosByAlbum(albumId) {
@@ -232,17 +843,116 @@ class Database {
     }
 
     async removePhoto(photoId) {
+        this.assertPermission('photos:edit');
+        
         const transaction = this.db.transaction(['photos'], 'readwrite');
         const store = transaction.objectStore('photos');
         
-        return new Promise((resolve, reject) => {
+        const result = await new Promise((resolve, reject) => {
             const request = store.delete(photoId);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        
+        await this.removeFromSearchIndex('photos', [photoId]);
+        return result;
+    }
+
+    /**
+     * Delete several photos in one transaction
+     * @param {Array<number>} photoIds - Photos to delete
+     */
+    async removePhotos(photoIds) {
+        this.assertPermission('photos:edit');
+        
+        const transaction = this.db.transaction(['photos'], 'readwrite');
+        const store = transaction.objectStore('photos');
+        
+        const count = await new Promise((resolve, reject) => {
+            photoIds.forEach(id => store.delete(id));
+            transaction.oncomplete = () => resolve(photoIds.length);
+            transaction.onerror = () => reject(transaction.error);
+        });
+        
+        await this.removeFromSearchIndex('photos', photoIds);
+        return count;
+    }
+
+    /**
+     * Move photos to another album, keeping their details, EXIF data and renditions
+     * @param {Array<number>} photoIds - Photos to move, in the order they should appear
+     * @param {number} albumId - Target album ID
+     * @returns {Promise<number>} - Number of photos moved (photos already in the album are skipped)
+     */
+    async movePhotos(photoIds, albumId) {
+        this.assertPermission('photos:edit');
+        
+        return this.placePhotosInAlbum(photoIds, albumId, (photo) => {
+            if (photo.albumId === albumId) return null;
+            return { ...photo, albumId, updatedAt: new Date().toISOString() };
+        });
+    }
+
+    /**
+     * Copy photos into another album. Copies are new photos with their own identity,
+     * so later edits to one do not touch the other.
+     * @param {Array<number>} photoIds - Photos to copy, in the order they should appear
+     * @param {number} albumId - Target album ID
+     * @returns {Promise<number>} - Number of photos copied
+     */
+    async copyPhotos(photoIds, albumId) {
+        this.assertPermission('photos:edit');
+        
+        return this.placePhotosInAlbum(photoIds, albumId, (photo) => {
+            const { id, ...copy } = photo;
+            const now = new Date().toISOString();
+            return { ...copy, uid: Database.generateUid(), albumId, createdAt: now, updatedAt: now };
+        });
+    }
+
+    /**
+     * Write transformed photos to the end of an album, in one transaction
+     * @param {Array<number>} photoIds - Source photos
+     * @param {number} albumId - Target album ID
+     * @param {Function} transform - (photo) => record to store, or null to skip the photo
+     * @returns {Promise<number>} - Number of photos written
+     */
+    async placePhotosInAlbum(photoIds, albumId, transform) {
+        const transaction = this.db.transaction(['photos'], 'readwrite');
+        const store = transaction.objectStore('photos');
+        const writtenIds = [];
+        
+        await new Promise((resolve, reject) => {
+            const existingRequest = store.index('albumId').getAll(albumId);
+            existingRequest.onsuccess = () => {
+                let order = existingRequest.result.reduce((max, photo) => Math.max(max, photo.order || 0), 0);
+                
+                // Requests in a transaction complete in the order they were made, so the order holds
+                photoIds.forEach(id => {
+                    const getRequest = store.get(id);
+                    getRequest.onsuccess = () => {
+                        const record = getRequest.result && transform(getRequest.result);
+                        if (!record) return;
+                        
+                        record.order = ++order;
+                        const putRequest = store.put(record);
+                        putRequest.onsuccess = () => writtenIds.push(putRequest.result);
+                    };
+                });
+            };
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        
+        // Copies are new photos, and search results link moved photos to their new album
+        await this.updateSearchIndex('photos', writtenIds);
+        return writtenIds.length;
     }
 
     async reorderPhotos(albumId, idsInOrder) {
+        this.assertPermission('photos:edit');
+        
         const transaction = this.db.transaction(['photos'], 'readwrite');
         const store = transaction.objectStore('photos');
         
@@ -267,13 +977,82 @@ class Database {
         return Promise.all(promises);
     }
 
+    // Upload queue operations
+    /**
+     * Persist a file waiting to be added to an album, so the queue survives a reload
+     * @param {number} albumId - Album the photo will be added to
+     * @param {File} file - Original upload, stored as selected
+     * @returns {Promise<number>} - Upload ID
+     */
+    async addUpload(albumId, file) {
+        this.assertPermission('photos:edit');
+        
+        return this.putRecord('uploads', {
+            albumId,
+            file,
+            name: file.name,
+            size: file.size,
+            status: 'pending',
+            error: null,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    async getAllUploads() {
+        const uploads = await this.getAllRecords('uploads');
+        return uploads.sort((a, b) => a.id - b.id);
+    }
+
+    async updateUpload(id, changes) {
+        const transaction = this.db.transaction(['uploads'], 'readwrite');
+        const store = transaction.objectStore('uploads');
+        
+        return new Promise((resolve, reject) => {
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                if (!getRequest.result) {
+                    resolve();
+                    return;
+                }
+                
+                const putRequest = store.put({ ...getRequest.result, ...changes });
+                putRequest.onsuccess = () => resolve();
+                putRequest.onerror = () => reject(putRequest.error);
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    }
+
+    async removeUpload(id) {
+        const transaction = this.db.transaction(['uploads'], 'readwrite');
+        const store = transaction.objectStore('uploads');
+        
+        return new Promise((resolve, reject) => {
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     // Essay operations
-    async addEssay(file, title) {
+    /**
+     * Add an essay
+     * @param {File} file - PDF file
+     * @param {string} title - Essay title
+     * @param {Object} content - Text, stats and excerpt read from the PDF (see essayContentFields),
+     *                           or null to leave them for the background backfill
+     * @param {Blob} cover - Cover drawn from the PDF's first page, or null to leave it for the backfill
+     * @returns {Promise<number>} - New essay ID
+     */
+    async addEssay(file, title, content = null, cover = null) {
+        this.assertPermission('essays:edit');
+        
         // First get all essays to determine order, then add in a separate transaction
         const essays = await this.getAllEssays();
         const maxOrder = essays.length > 0 ? Math.max(...essays.map(e => e.order || 0)) : 0;
         
         const essayData = {
+            uid: Database.generateUid(),
             title,
             pdfBlob: file,
             mime: 'application/pdf',
@@ -281,33 +1060,142 @@ class Database {
             order: maxOrder + 1,
             createdAt: new Date().toISOString()
         };
+        if (content) {
+            this.essayContentFields.forEach(field => {
+                essayData[field] = content[field];
+            });
+        }
+        if (cover) {
+            essayData.coverBlob = cover;
+            essayData.customCover = false;
+        }
         
         // Create a new transaction for the add operation
         const transaction = this.db.transaction(['essays'], 'readwrite');
         const store = transaction.objectStore('essays');
         
-        return new Promise((resolve, reject) => {
+        const id = await new Promise((resolve, reject) => {
             const request = store.add(essayData);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        
+        await this.updateSearchIndex('essays', [id]);
+        return id;
+    }
+
+    async getAllEssays() {
+        const transaction = this.db.transaction(['essays'], 'readonly');
+        const store = transaction.objectStore('essays');
+        
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => {
+                const essays = request.result.sort((a, b) => (a.order || 0) - (b.order || 0));
+                resolve(essays);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async renameEssay(id, title) {
+        this.assertPermission('essays:edit');
+        
+        const transaction = this.db.transaction(['essays'], 'readwrite');
+        const store = transaction.objectStore('essays');
+        
+        const result = await new Promise((resolve, reject) => {
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                const essay = getRequest.result;
+                if (!essay) {
+                    reject(new Error('Essay not found'));
+                    return;
+                }
+                
+                essay.title = title;
+                essay.updatedAt = new Date().toISOString();
+                
+                const putRequest = store.put(essay);
+                putRequest.onsuccess = () => resolve(putRequest.result);
+                putRequest.onerror = () => reject(putRequest.error);
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+        
+        await this.updateSearchIndex('essays', [id]);
+        return result;
+    }
+
+    /**
+     * Essays whose PDF has not been read yet (added offline, before stats existed, or restored
+     * from a backup)
+     */
+    async getEssaysWithoutContent() {
+        const essays = await this.getAllEssays();
+        return essays.filter(essay => essay.pdfBlob && typeof essay.wordCount !== 'number');
+    }
+
+    /**
+     * Store what was read from an essay's PDF and make its text searchable. It is derived from
+     * the PDF, so it is left out of backups and read again after an import.
+     * @param {number} id - Essay ID
+     * @param {Object} content - { text, pageCount, wordCount, readingMinutes, excerpt }; text is ''
+     *                           for PDFs without a text layer
+     * @returns {Promise<boolean>} - False if the essay no longer exists
+     */
+    async setEssayContent(id, content) {
+        const transaction = this.db.transaction(['essays'], 'readwrite');
+        const store = transaction.objectStore('essays');
+        
+        const saved = await new Promise((resolve, reject) => {
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                const essay = getRequest.result;
+                if (!essay) {
+                    resolve(false);
+                    return;
+                }
+                
+                this.essayContentFields.forEach(field => {
+                    essay[field] = content[field];
+                });
+                const putRequest = store.put(essay);
+                putRequest.onsuccess = () => resolve(true);
+                putRequest.onerror = () => reject(putRequest.error);
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+        
+        if (saved) {
+            await this.updateSearchIndex('essays', [id]);
+        }
+        return saved;
     }
 
-    async getAllEssays() {
-        const transaction = this.db.transaction(['essays'], 'readonly');
-        const store = transaction.objectStore('essays');
-        
-        return new Promise((resolve, reject) => {
-            const request = store.getAll();
-            request.onsuccess = () => {
-                const essays = request.result.sort((a, b) => (a.order || 0) - (b.order || 0));
-                resolve(essays);
-            };
-            request.onerror = () => reject(request.error);
-        });
+    /**
+     * Essays with no cover yet. Essays whose first page could not be drawn have a null cover
+     * and are not tried again.
+     */
+    async getEssaysWithoutCover() {
+        const essays = await this.getAllEssays();
+        return essays.filter(essay => essay.pdfBlob && essay.coverBlob === undefined);
     }
 
-    async renameEssay(id, title) {
+    /**
+     * Set an essay's cover image. The background job only fills in missing covers drawn from
+     * the PDF; uploading a custom cover, or replacing one, needs edit permission.
+     * @param {number} id - Essay ID
+     * @param {Blob|null} blob - Cover image, or null if the first page could not be drawn
+     * @param {boolean} custom - True for a cover uploaded by an admin
+     * @param {boolean} replace - Overwrite a cover the essay already has (defaults to custom)
+     * @returns {Promise<boolean>} - False if the essay no longer exists, or already has a cover to keep
+     */
+    async setEssayCover(id, blob, custom = false, replace = custom) {
+        if (custom || replace) {
+            this.assertPermission('essays:edit');
+        }
+        
         const transaction = this.db.transaction(['essays'], 'readwrite');
         const store = transaction.objectStore('essays');
         
@@ -315,16 +1203,17 @@ class Database {
             const getRequest = store.get(id);
             getRequest.onsuccess = () => {
                 const essay = getRequest.result;
-                if (!essay) {
-                    reject(new Error('Essay not found'));
+                
+                // Checked in the transaction, so a cover uploaded while the job ran is not overwritten
+                if (!essay || (!replace && (essay.customCover || essay.coverBlob !== undefined))) {
+                    resolve(false);
                     return;
                 }
                 
-                essay.title = title;
-                essay.updatedAt = new Date().toISOString();
-                
+                essay.coverBlob = blob;
+                essay.customCover = custom;
                 const putRequest = store.put(essay);
-                putRequest.onsuccess = () => resolve(putRequest.result);
+                putRequest.onsuccess = () => resolve(true);
                 putRequest.onerror = () => reject(putRequest.error);
             };
             getRequest.onerror = () => reject(getRequest.error);
@@ -332,17 +1221,24 @@ class Database {
     }
 
     async deleteEssay(id) {
+        this.assertPermission('essays:edit');
+        
         const transaction = this.db.transaction(['essays'], 'readwrite');
         const store = transaction.objectStore('essays');
         
-        return new Promise((resolve, reject) => {
+        const result = await new Promise((resolve, reject) => {
             const request = store.delete(id);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        
+        await this.removeFromSearchIndex('essays', [id]);
+        return result;
     }
 
     async reorderEssays(idsInOrder) {
+        this.assertPermission('essays:edit');
+        
         const transaction = this.db.transaction(['essays'], 'readwrite');
         const store = transaction.objectStore('essays');
         
@@ -369,6 +1265,8 @@ class Database {
 
     // Video operations
     async addVideo(url) {
+        this.assertPermission('videos:edit');
+        
         // Parse video URL to get provider and embed ID
         const videoInfo = this.parseVideoUrl(url);
         if (!videoInfo) {
@@ -380,6 +1278,7 @@ class Database {
         const maxOrder = videos.length > 0 ? Math.max(...videos.map(v => v.order || 0)) : 0;
         
         const videoData = {
+            uid: Database.generateUid(),
             provider: videoInfo.provider,
             url: url,
             embedId: videoInfo.embedId,
@@ -392,11 +1291,14 @@ class Database {
         const transaction = this.db.transaction(['videos'], 'readwrite');
         const store = transaction.objectStore('videos');
         
-        return new Promise((resolve, reject) => {
+        const id = await new Promise((resolve, reject) => {
             const request = store.add(videoData);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        
+        await this.updateSearchIndex('videos', [id]);
+        return id;
     }
 
     parseVideoUrl(url) {
@@ -442,17 +1344,24 @@ class Database {
     }
 
     async deleteVideo(id) {
+        this.assertPermission('videos:edit');
+        
         const transaction = this.db.transaction(['videos'], 'readwrite');
         const store = transaction.objectStore('videos');
         
-        return new Promise((resolve, reject) => {
+        const result = await new Promise((resolve, reject) => {
             const request = store.delete(id);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        
+        await this.removeFromSearchIndex('videos', [id]);
+        return result;
     }
 
     async reorderVideos(idsInOrder) {
+        this.assertPermission('videos:edit');
+        
         const transaction = this.db.transaction(['videos'], 'readwrite');
         const store = transaction.objectStore('videos');
         
@@ -477,9 +1386,286 @@ class Database {
         return Promise.all(promises);
     }
 
+    // Search index
+    /**
+     * Search album names, photo details and tags, essay titles and text, and video titles.
+     * Every word must match the start of a word in the item, so "kyo tem" finds "Kyoto temples".
+     * @param {string} query - Words to look for
+     * @param {number} limit - Maximum results of each type
+     * @returns {Promise<Object>} - { albums, photos, essays, videos }, each a list of
+     *                              { storeName, id, albumId, title, snippet }, best matches first
+     */
+    async search(query, limit = 20) {
+        const results = { albums: [], photos: [], essays: [], videos: [] };
+        const terms = Database.getSearchTerms(query);
+        if (terms.length === 0) return results;
+        
+        // Look up the longest word in the index, then check the others against each match
+        const [first, ...others] = [...terms].sort((a, b) => b.length - a.length);
+        const transaction = this.db.transaction(['search'], 'readonly');
+        const index = transaction.objectStore('search').index('terms');
+        
+        const entries = await new Promise((resolve, reject) => {
+            const request = index.getAll(IDBKeyRange.bound(first, `${first}\uffff`));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        const seen = new Set();
+        const titleTerms = entry => Database.getSearchTerms(entry.title);
+        const matchesAll = words => terms.every(term => words.some(word => word.startsWith(term)));
+        
+        entries
+            .filter(entry => {
+                if (seen.has(entry.key)) return false;
+                seen.add(entry.key);
+                return others.every(term => entry.terms.some(word => word.startsWith(term)));
+            })
+            // Items whose title matches come before those that only match in their text
+            .sort((a, b) => Number(matchesAll(titleTerms(b))) - Number(matchesAll(titleTerms(a))) ||
+                a.title.localeCompare(b.title))
+            .forEach(entry => {
+                const group = results[entry.storeName];
+                if (group.length < limit) {
+                    group.push({
+                        storeName: entry.storeName,
+                        id: entry.id,
+                        albumId: entry.albumId,
+                        title: entry.title,
+                        snippet: Database.getSearchSnippet(entry.text, terms)
+                    });
+                }
+            });
+        
+        return results;
+    }
+
+    /**
+     * Split text into lower-case search words, ignoring accents and punctuation
+     * @returns {Array<string>} - Unique words of two or more characters
+     */
+    static getSearchTerms(text) {
+        const words = String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(word => word.length > 1);
+        return [...new Set(words)];
+    }
+
+    /**
+     * A short extract of the text around the first matching word
+     */
+    static getSearchSnippet(text, terms, length = 120) {
+        const flat = String(text || '').replace(/\s+/g, ' ').trim();
+        const lower = flat.toLowerCase();
+        const positions = terms.map(term => lower.indexOf(term)).filter(position => position >= 0);
+        const start = positions.length > 0 ? Math.max(0, Math.min(...positions) - 40) : 0;
+        const snippet = flat.slice(start, start + length);
+        return `${start > 0 ? '…' : ''}${snippet}${start + length < flat.length ? '…' : ''}`;
+    }
+
+    /**
+     * The search index entry for a record, or null if it has nothing to search
+     */
+    buildSearchEntry(storeName, record) {
+        const text = (...parts) => parts.filter(Boolean).join('\n');
+        let entry;
+        
+        switch (storeName) {
+            case 'albums':
+                entry = { title: record.name, text: text(record.name) };
+                break;
+            case 'photos':
+                entry = {
+                    albumId: record.albumId,
+                    title: record.title || record.caption || record.alt || 'Untitled photo',
+                    text: text(...this.photoMetadataFields.filter(field => field !== 'date').map(field => record[field]),
+                        ...(record.tags || []))
+                };
+                break;
+            case 'essays':
+                entry = { title: record.title, text: text(record.title, record.text) };
+                break;
+            case 'videos':
+                entry = { title: record.title || record.url, text: text(record.title, record.provider) };
+                break;
+            default:
+                return null;
+        }
+        
+        const terms = Database.getSearchTerms(entry.text);
+        if (terms.length === 0) return null;
+        
+        return { key: `${storeName}:${record.id}`, storeName, id: record.id, ...entry, terms };
+    }
+
+    /**
+     * Re-index records after they change. Search is secondary, so a failure is logged
+     * rather than failing the write that triggered it.
+     * @param {string} storeName - 'albums', 'photos', 'essays' or 'videos'
+     * @param {Array<number>} ids - Records to re-read and index
+     */
+    async updateSearchIndex(storeName, ids) {
+        if (ids.length === 0) return;
+        
+        try {
+            const transaction = this.db.transaction([storeName, 'search'], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const searchStore = transaction.objectStore('search');
+            
+            await new Promise((resolve, reject) => {
+                ids.forEach(id => {
+                    const request = store.get(id);
+                    request.onsuccess = () => {
+                        const entry = request.result && this.buildSearchEntry(storeName, request.result);
+                        if (entry) {
+                            searchStore.put(entry);
+                        } else {
+                            searchStore.delete(`${storeName}:${id}`);
+                        }
+                    };
+                });
+                
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.error(`Failed to update search index for ${storeName}:`, error);
+        }
+    }
+
+    async removeFromSearchIndex(storeName, ids) {
+        if (ids.length === 0) return;
+        
+        try {
+            const transaction = this.db.transaction(['search'], 'readwrite');
+            const searchStore = transaction.objectStore('search');
+            
+            await new Promise((resolve, reject) => {
+                ids.forEach(id => searchStore.delete(`${storeName}:${id}`));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.error(`Failed to update search index for ${storeName}:`, error);
+        }
+    }
+
+    /**
+     * Make records listed from the cloud searchable here too. Records stored on this device
+     * keep their own entries (an essay's full text is only local); the rest are indexed from
+     * the cloud copy, and entries for records no longer local or in the cloud are dropped.
+     * @param {string} storeName - 'albums', 'essays' or 'videos'
+     * @param {Array<Object>} records - Every record the cloud returned for the store
+     */
+    async indexCloudRecords(storeName, records) {
+        try {
+            const transaction = this.db.transaction([storeName, 'search'], 'readwrite');
+            const searchStore = transaction.objectStore('search');
+            const cloudRecords = new Map(records.map(record => [record.id, record]));
+            
+            await new Promise((resolve, reject) => {
+                const keysRequest = transaction.objectStore(storeName).getAllKeys();
+                keysRequest.onsuccess = () => {
+                    const localIds = new Set(keysRequest.result);
+                    
+                    const range = IDBKeyRange.bound(`${storeName}:`, `${storeName}:\uffff`);
+                    const entriesRequest = searchStore.getAll(range);
+                    entriesRequest.onsuccess = () => {
+                        entriesRequest.result
+                            .filter(entry => !localIds.has(entry.id) && !cloudRecords.has(entry.id))
+                            .forEach(entry => searchStore.delete(entry.key));
+                        
+                        cloudRecords.forEach((record, id) => {
+                            if (localIds.has(id)) return;
+                            const entry = this.buildSearchEntry(storeName, record);
+                            if (entry) {
+                                searchStore.put(entry);
+                            } else {
+                                searchStore.delete(`${storeName}:${id}`);
+                            }
+                        });
+                    };
+                };
+                
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.error(`Failed to update search index for ${storeName}:`, error);
+        }
+    }
+
+    /**
+     * Index every album, photo, essay and video from scratch (after imports and merges)
+     */
+    async rebuildSearchIndex() {
+        const storeNames = ['albums', 'photos', 'essays', 'videos'];
+        const transaction = this.db.transaction([...storeNames, 'search'], 'readwrite');
+        const searchStore = transaction.objectStore('search');
+        
+        return new Promise((resolve, reject) => {
+            searchStore.clear();
+            
+            storeNames.forEach(storeName => {
+                const request = transaction.objectStore(storeName).getAll();
+                request.onsuccess = () => {
+                    request.result.forEach(record => {
+                        const entry = this.buildSearchEntry(storeName, record);
+                        if (entry) searchStore.put(entry);
+                    });
+                };
+            });
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Build the index if it is empty but there is content to search, e.g. right after the
+     * upgrade that added it
+     */
+    async ensureSearchIndex() {
+        try {
+            const transaction = this.db.transaction(['search', 'albums', 'essays', 'videos'], 'readonly');
+            const count = storeName => new Promise((resolve, reject) => {
+                const request = transaction.objectStore(storeName).count();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            
+            const [indexed, albums, essays, videos] = await Promise.all(['search', 'albums', 'essays', 'videos'].map(count));
+            if (indexed === 0 && albums + essays + videos > 0) {
+                await this.rebuildSearchIndex();
+            }
+        } catch (error) {
+            console.error('Failed to build search index:', error);
+        }
+    }
+
     // Data export/import
-    async exportAll() {
-        const data = {
+    /**
+     * Export everything as a ZIP archive: manifest.json plus the original binary files.
+     * Files are added one at a time, so no base64 copies are held in memory.
+     * @param {Object} writable - Optional stream (e.g. from showSaveFilePicker) to write into as the archive is built
+     * @param {Object} options - { albumId } to export just that album with its sub-albums and photos.
+     *                           Album backups can only be merged, since they leave out everything else.
+     * @returns {Promise<Blob|null>} - Archive blob, or null when written to the stream
+     */
+    async exportAll(writable = null, { albumId = null } = {}) {
+        this.assertPermission('data:export');
+        
+        const albums = await this.getAllAlbums();
+        if (albumId !== null && !albums.some(album => album.id === albumId)) {
+            throw new Error('Album not found');
+        }
+        
+        const zip = new ZipWriter(writable);
+        const manifest = {
+            format: this.backupFormat,
             version: this.version,
             timestamp: new Date().toISOString(),
             assets: {},
@@ -489,111 +1675,526 @@ class Database {
             videos: []
         };
         
-        // Export assets
-        const assetKeys = ['backgroundImage', 'headerLogo', 'favicon'];
-        for (const key of assetKeys) {
-            const asset = await this.getAsset(key);
-            if (asset) {
-                // Convert blob to base64 for JSON export
-                const base64 = await this.blobToBase64(asset.blob);
-                data.assets[key] = {
-                    key: asset.key,
-                    data: base64,
-                    mime: asset.mime,
-                    updatedAt: asset.updatedAt
-                };
+        if (albumId !== null) {
+            // The exported album becomes top-level, so the backup does not point at albums it leaves out
+            const subtree = new Set([albumId, ...Database.getDescendantIds(albums, albumId)]);
+            manifest.scope = 'album';
+            manifest.albums = albums
+                .filter(album => subtree.has(album.id))
+                .map(album => (album.id === albumId ? { ...album, parentId: null } : album));
+        } else {
+            // Export assets
+            for (const key of this.assetKeys) {
+                const asset = await this.getAsset(key);
+                if (asset) {
+                    manifest.assets[key] = await this.addRecordFiles(zip, 'assets', asset, `assets/${key}`);
+                }
             }
+            
+            manifest.albums = albums;
         }
         
-        // Export albums
-        data.albums = await this.getAllAlbums();
-        
-        // Export photos with base64 conversion
-        const allAlbums = await this.getAllAlbums();
-        for (const album of allAlbums) {
+        // Export albums and their photos
+        for (const album of manifest.albums) {
             const photos = await this.getPhotosByAlbum(album.id);
             for (const photo of photos) {
-                const base64 = await this.blobToBase64(photo.blob);
-                data.photos.push({
-                    ...photo,
-                    blob: null, // Remove blob from export
-                    data: base64 // Add base64 data
-                });
+                manifest.photos.push(await this.addRecordFiles(zip, 'photos', photo, `photos/${photo.id}`));
             }
         }
         
-        // Export essays with base64 conversion
-        const essays = await this.getAllEssays();
-        for (const essay of essays) {
-            const base64 = await this.blobToBase64(essay.pdfBlob);
-            data.essays.push({
-                ...essay,
-                pdfBlob: null, // Remove blob from export
-                data: base64 // Add base64 data
-            });
+        if (albumId === null) {
+            // Export essays
+            const essays = await this.getAllEssays();
+            for (const essay of essays) {
+                manifest.essays.push(await this.addRecordFiles(zip, 'essays', essay, `essays/${essay.id}`));
+            }
+            
+            // Export videos (no binary data)
+            manifest.videos = await this.getAllVideos();
+        }
+        
+        // Lets an import prove it restored exactly what was exported
+        manifest.fingerprint = await this.getManifestFingerprint(manifest);
+        
+        // Manifest goes last so it only references files already written
+        await zip.addText('manifest.json', JSON.stringify(manifest, null, 2));
+        
+        return zip.finish();
+    }
+
+    async addRecordFiles(zip, storeName, record, basePath) {
+        const entry = { ...record, files: {} };
+        this.omitDerivedFields(storeName, entry);
+        
+        for (const [index, field] of this.blobFields[storeName].entries()) {
+            const blob = record[field];
+            
+            // Unset (e.g. a cover not generated yet) stays unset, so it is generated again after import
+            if (blob === undefined) {
+                delete entry[field];
+                continue;
+            }
+            
+            entry[field] = null;
+            if (blob) {
+                const suffix = index === 0 ? '' : `-${field}`;
+                const path = `${basePath}${suffix}${this.getFileExtension(blob.type)}`;
+                const crc = await zip.addFile(path, blob, new Date(record.updatedAt || record.createdAt || Date.now()));
+                entry.files[field] = { path, type: blob.type, size: blob.size, crc };
+            }
+        }
+        
+        return entry;
+    }
+
+    getFileExtension(mimeType) {
+        const extensions = {
+            'image/jpeg': '.jpg',
+            'image/png': '.png',
+            'image/gif': '.gif',
+            'image/webp': '.webp',
+            'image/avif': '.avif',
+            'image/x-icon': '.ico',
+            'image/svg+xml': '.svg',
+            'application/pdf': '.pdf'
+        };
+        return extensions[mimeType] || '';
+    }
+
+    /**
+     * Read a backup file into records with their blobs attached.
+     * Accepts ZIP archives and legacy JSON backups with base64-embedded files.
+     * @param {Blob} file - Backup file
+     * @returns {Promise<Object>} - Backup data migrated to the current schema version
+     */
+    async readBackup(file) {
+        if (await Zip.isZip(file)) {
+            const zip = await new ZipReader(file).open();
+            if (!zip.has('manifest.json')) {
+                throw new Error('Backup archive has no manifest');
+            }
+            
+            const data = this.checkBackupVersion(JSON.parse(await zip.getText('manifest.json')));
+            
+            for (const [, record] of this.getBackupRecords(data)) {
+                for (const [field, file] of Object.entries(record.files || {})) {
+                    record[field] = await zip.getBlob(file.path, file.type);
+                }
+                delete record.files;
+            }
+            
+            return data;
         }
         
-        // Export videos (no binary data)
-        data.videos = await this.getAllVideos();
+        const data = this.checkBackupVersion(JSON.parse(await file.text()));
+        
+        // Legacy JSON backups embed the primary binary field as base64 `data`
+        for (const [storeName, record] of this.getBackupRecords(data)) {
+            if (record.data) {
+                record[this.blobFields[storeName][0]] = this.base64ToBlob(record.data, record.mime);
+                delete record.data;
+            }
+        }
         
         return data;
     }
 
-    async importAll(data) {
-        if (!data.version || data.version !== this.version) {
-            throw new Error('Incompatible data version');
+    checkBackupVersion(data) {
+        if (!data.version || (data.format && data.format !== this.backupFormat)) {
+            throw new Error('Unrecognized backup file');
+        }
+        
+        if (data.version > this.version) {
+            throw new Error('Backup was created by a newer version of the app');
+        }
+        
+        // Upgrade older backups through the same migrations as the live database
+        return this.migrateData(data);
+    }
+
+    getBackupRecords(data) {
+        const records = Object.values(data.assets || {}).map(record => ['assets', record]);
+        
+        for (const storeName of ['albums', 'photos', 'essays', 'videos']) {
+            (data[storeName] || []).forEach(record => records.push([storeName, record]));
+        }
+        
+        return records;
+    }
+
+    /**
+     * Replace all data with the contents of a backup file
+     * @param {Blob} file - ZIP archive or legacy JSON backup
+     * @returns {Promise<Object>} - { verified } - true when the restored data matches the backup
+     *                              fingerprint, false on mismatch, null if the backup has none to check
+     */
+    async importAll(file) {
+        this.assertPermission('data:import');
+        
+        const data = await this.readBackup(file);
+        
+        // Replacing everything with a single album would throw away all the rest
+        if (data.scope === 'album') {
+            const error = new Error('This backup holds a single album. Use Merge Import to add it.');
+            error.code = 'partial-backup';
+            throw error;
+        }
+        
+        await this.restoreData(data);
+        
+        // Migrated backups legitimately differ from what was exported
+        if (!data.fingerprint || data.migratedFrom) {
+            return { verified: null };
         }
         
+        return { verified: (await this.getFingerprint()) === data.fingerprint };
+    }
+
+    async restoreData(data) {
         // Clear existing data
         await this.clearAllData();
         
-        // Import assets
-        for (const [key, assetData] of Object.entries(data.assets)) {
-            if (assetData.data) {
-                const blob = this.base64ToBlob(assetData.data, assetData.mime);
-                await this.putAsset(key, blob);
+        // Write the original records back so ids, order, timestamps and metadata survive exactly
+        for (const storeName of ['assets', 'albums', 'photos', 'essays', 'videos']) {
+            const records = this.getBackupRecords(data)
+                .filter(([recordStore]) => recordStore === storeName)
+                .map(([, record]) => record);
+            await this.putRecords(storeName, records);
+        }
+        
+        await this.rebuildSearchIndex();
+    }
+
+    async putRecords(storeName, records) {
+        const transaction = this.db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        
+        records.forEach(record => store.put(record));
+        
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Round-trip verification
+    /**
+     * Fingerprint every stored record. Blobs are summarised by size, type and CRC-32,
+     * so the result matches the fingerprint written into the backup manifest at export.
+     * @returns {Promise<string>} - SHA-256 hex digest
+     */
+    async getFingerprint() {
+        const entries = [];
+        
+        for (const storeName of ['assets', 'albums', 'photos', 'essays', 'videos']) {
+            const records = await this.getAllRecords(storeName);
+            for (const record of records) {
+                const files = {};
+                for (const field of this.blobFields[storeName] || []) {
+                    const blob = record[field];
+                    if (blob) {
+                        files[field] = { type: blob.type, size: blob.size, crc: await Zip.crc32(blob) };
+                    }
+                }
+                entries.push([storeName, this.describeRecord(storeName, record, files)]);
             }
         }
         
-        // Import albums
-        for (const album of data.albums) {
-            const { id, ...albumData } = album;
-            await this.createAlbum(albumData.name);
+        return this.hashFingerprintEntries(entries);
+    }
+
+    /**
+     * Fingerprint a backup manifest using the file details recorded at export time
+     */
+    async getManifestFingerprint(manifest) {
+        const entries = this.getBackupRecords(manifest).map(([storeName, record]) => {
+            return [storeName, this.describeRecord(storeName, record, record.files || {})];
+        });
+        
+        return this.hashFingerprintEntries(entries);
+    }
+
+    omitDerivedFields(storeName, record) {
+        for (const field of this.derivedFields[storeName] || []) {
+            delete record[field];
+        }
+        return record;
+    }
+
+    describeRecord(storeName, record, files) {
+        const description = { ...record };
+        delete description.files;
+        this.omitDerivedFields(storeName, description);
+        
+        for (const field of this.blobFields[storeName] || []) {
+            const file = files[field];
+            description[field] = file ? { type: file.type, size: file.size, crc: file.crc } : null;
         }
         
-        // Get new album IDs after import
-        const newAlbums = await this.getAllAlbums();
-        const albumIdMap = {};
-        data.albums.forEach((oldAlbum, index) => {
-            if (newAlbums[index]) {
-                albumIdMap[oldAlbum.id] = newAlbums[index].id;
-            }
+        return description;
+    }
+
+    async hashFingerprintEntries(entries) {
+        const recordKey = ([storeName, record]) => `${storeName}:${String(record.key !== undefined ? record.key : record.id).padStart(12, '0')}`;
+        entries.sort((a, b) => recordKey(a).localeCompare(recordKey(b)));
+        
+        return Utils.hashString(this.toCanonicalJson(entries));
+    }
+
+    // JSON with sorted object keys, so equal records always serialise identically
+    toCanonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.toCanonicalJson(item)).join(',')}]`;
+        }
+        
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+            return `{${keys.map(key => `${JSON.stringify(key)}:${this.toCanonicalJson(value[key])}`).join(',')}}`;
+        }
+        
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    // Merge import
+    /**
+     * Compare backup data with the current data without writing anything.
+     * Items are matched by uid, falling back to name/title/URL for backups made before uids existed.
+     * @param {Object} data - Backup data from readBackup
+     * @returns {Promise<Object>} - Plan with one item per asset, album, essay and video
+     */
+    async planMerge(data) {
+        const since = data.timestamp || '';
+        const items = [];
+        
+        const photosByAlbum = (photos) => {
+            const map = new Map();
+            photos.forEach(photo => {
+                if (!map.has(photo.albumId)) map.set(photo.albumId, []);
+                map.get(photo.albumId).push(photo);
+            });
+            map.forEach(list => list.sort((a, b) => (a.order || 0) - (b.order || 0)));
+            return map;
+        };
+        
+        // Assets
+        for (const [key, incoming] of Object.entries(data.assets || {})) {
+            const local = await this.getAsset(key);
+            items.push(this.classifyMergeItem('assets', incoming, local ? { record: local, byUid: true } : null, since));
+        }
+        
+        // Albums with their photos
+        const localAlbums = await this.getAllAlbums();
+        const localPhotos = photosByAlbum(await this.getAllRecords('photos'));
+        const incomingPhotos = photosByAlbum(data.photos || []);
+        
+        for (const incoming of data.albums || []) {
+            const match = this.findMergeMatch(incoming, localAlbums, album => album.name);
+            const item = this.classifyMergeItem('albums', incoming, match, since, {
+                incomingPhotos: incomingPhotos.get(incoming.id) || [],
+                localPhotos: match ? localPhotos.get(match.record.id) || [] : []
+            });
+            item.label = Database.getAlbumPath(data.albums, incoming.id).map(album => album.name).join(' › ');
+            items.push(item);
+        }
+        
+        // Essays
+        const localEssays = await this.getAllEssays();
+        for (const incoming of data.essays || []) {
+            const match = this.findMergeMatch(incoming, localEssays, essay => essay.title);
+            items.push(this.classifyMergeItem('essays', incoming, match, since));
+        }
+        
+        // Videos
+        const localVideos = await this.getAllVideos();
+        for (const incoming of data.videos || []) {
+            const match = this.findMergeMatch(incoming, localVideos, video => `${video.provider}:${video.embedId}`);
+            items.push(this.classifyMergeItem('videos', incoming, match, since));
+        }
+        
+        items.forEach((item, index) => {
+            item.key = `${item.storeName}:${index}`;
         });
         
-        // Import photos
-        for (const photo of data.photos) {
-            if (photo.data && albumIdMap[photo.albumId]) {
-                const blob = this.base64ToBlob(photo.data, photo.mime);
-                await this.addPhoto(albumIdMap[photo.albumId], blob);
-            }
+        return { timestamp: data.timestamp, items };
+    }
+
+    findMergeMatch(incoming, localRecords, naturalKey) {
+        const byUid = incoming.uid && localRecords.find(record => record.uid === incoming.uid);
+        if (byUid) {
+            return { record: byUid, byUid: true };
+        }
+        
+        const key = naturalKey(incoming);
+        const byKey = localRecords.find(record => naturalKey(record) === key);
+        return byKey ? { record: byKey, byUid: false } : null;
+    }
+
+    classifyMergeItem(storeName, incoming, match, since, photos = {}) {
+        const item = {
+            storeName,
+            label: this.getMergeLabel(storeName, incoming),
+            incoming,
+            incomingPhotos: photos.incomingPhotos || [],
+            local: match ? match.record : null,
+            localPhotos: photos.localPhotos || []
+        };
+        
+        if (!match) {
+            item.status = 'added';
+            item.actions = ['add', 'skip'];
+            item.action = 'add';
+            return item;
+        }
+        
+        item.actions = storeName === 'assets' ? ['keep', 'replace'] : ['keep', 'replace', 'duplicate'];
+        
+        const same = this.getMergeSignature(storeName, incoming, item.incomingPhotos) ===
+            this.getMergeSignature(storeName, match.record, item.localPhotos);
+        
+        if (same) {
+            item.status = 'unchanged';
+            item.action = 'keep';
+        } else if (match.byUid && this.getLastModified(match.record, item.localPhotos) <= since) {
+            // Only the backup changed since it was exported - safe to take it
+            item.status = 'changed';
+            item.action = 'replace';
+        } else {
+            // Both sides changed, or two different items share a name
+            item.status = 'conflict';
+            item.action = 'keep';
+        }
+        
+        return item;
+    }
+
+    getMergeLabel(storeName, record) {
+        switch (storeName) {
+            case 'assets': return record.key;
+            case 'albums': return record.name;
+            case 'essays': return record.title;
+            case 'videos': return record.title || record.url;
+        }
+        return '';
+    }
+
+    getMergeSignature(storeName, record, photos = []) {
+        const size = (blob, fallback) => (blob ? blob.size : fallback || 0);
+        
+        switch (storeName) {
+            case 'assets':
+                return JSON.stringify([record.mime, size(record.blob)]);
+            case 'albums':
+                return JSON.stringify([record.name, record.coverPhotoUid || null, record.coverFocus || null, photos.map(photo => [
+                    size(photo.blob, photo.size),
+                    ...this.photoMetadataFields.map(field => photo[field] || ''),
+                    (photo.tags || []).join(',')
+                ])]);
+            case 'essays':
+                // Covers drawn from the PDF follow from it; only an uploaded cover is a change
+                return JSON.stringify([record.title, size(record.pdfBlob, record.size),
+                    record.customCover ? size(record.coverBlob) : null]);
+            case 'videos':
+                return JSON.stringify([record.provider, record.embedId, record.title || null]);
         }
+        return '';
+    }
+
+    getLastModified(record, photos = []) {
+        return [record, ...photos]
+            .map(r => r.updatedAt || r.createdAt || '')
+            .reduce((latest, value) => (value > latest ? value : latest), '');
+    }
+
+    /**
+     * Write the chosen action for each merge item: add, replace or duplicate (keep/skip write nothing)
+     * @param {Object} plan - Plan from planMerge with each item's action set
+     * @returns {Promise<Object>} - Counts of written items by action
+     */
+    async applyMerge(plan) {
+        this.assertPermission('data:import');
+        
+        const counts = { add: 0, replace: 0, duplicate: 0 };
+        const order = {};
+        
+        // Backup album IDs mapped to the local albums they became, to re-link sub-albums afterwards
+        const albumIds = new Map();
+        const writtenAlbums = [];
         
-        // Import essays
-        for (const essay of data.essays) {
-            if (essay.data) {
-                const blob = this.base64ToBlob(essay.data, essay.mime);
-                await this.addEssay(blob, essay.title);
+        const nextOrder = async (storeName) => {
+            if (order[storeName] === undefined) {
+                const records = await this.getAllRecords(storeName);
+                order[storeName] = records.reduce((max, r) => Math.max(max, r.order || 0), 0);
+            }
+            return ++order[storeName];
+        };
+        
+        for (const item of plan.items) {
+            const { storeName, incoming, local, action } = item;
+            if (!counts.hasOwnProperty(action)) {
+                if (storeName === 'albums' && local) albumIds.set(incoming.id, local.id);
+                continue;
+            }
+            
+            if (storeName === 'assets') {
+                await this.putAsset(incoming.key, incoming.blob);
+            } else if (action === 'replace') {
+                await this.putRecord(storeName, { ...incoming, id: local.id, order: local.order });
+                
+                if (storeName === 'albums') {
+                    albumIds.set(incoming.id, local.id);
+                    writtenAlbums.push({ id: local.id, incoming, fallbackParentId: local.parentId === undefined ? null : local.parentId });
+                    for (const photo of item.localPhotos) {
+                        await this.removePhoto(photo.id);
+                    }
+                    for (const photo of item.incomingPhotos) {
+                        await this.insertRecord('photos', { ...photo, albumId: local.id });
+                    }
+                }
+            } else {
+                const record = { ...incoming, order: await nextOrder(storeName) };
+                
+                if (action === 'duplicate') {
+                    record.uid = Database.generateUid();
+                    if (storeName === 'albums') record.name = `${record.name} (imported)`;
+                    if (storeName === 'essays') record.title = `${record.title} (imported)`;
+                }
+                
+                const newId = await this.insertRecord(storeName, record);
+                
+                if (storeName === 'albums') {
+                    albumIds.set(incoming.id, newId);
+                    writtenAlbums.push({ id: newId, incoming, fallbackParentId: null });
+                    for (const photo of item.incomingPhotos) {
+                        const photoRecord = { ...photo, albumId: newId };
+                        if (action === 'duplicate') photoRecord.uid = Database.generateUid();
+                        await this.insertRecord('photos', photoRecord);
+                    }
+                }
             }
+            
+            counts[action]++;
         }
         
-        // Import videos
-        for (const video of data.videos) {
-            await this.addVideo(video.url);
+        // Parents may come after their sub-albums in the backup, so link them once all are written.
+        // A replaced album keeps its local parent when the backup's parent was not merged.
+        for (const { id, incoming, fallbackParentId } of writtenAlbums) {
+            const album = await this.getRecord('albums', id);
+            const parentId = albumIds.has(incoming.parentId) ? albumIds.get(incoming.parentId) : fallbackParentId;
+            if (album.parentId !== parentId) {
+                await this.putRecord('albums', { ...album, parentId });
+            }
         }
+        
+        await this.rebuildSearchIndex();
+        
+        return counts;
     }
 
     async clearAllData() {
-        const stores = ['assets', 'albums', 'photos', 'essays', 'videos'];
+        this.assertPermission('data:clear');
+        
+        const stores = ['assets', 'albums', 'photos', 'essays', 'videos', 'uploads', 'search'];
         const transaction = this.db.transaction(stores, 'readwrite');
         
         const promises = stores.map(storeName => {
@@ -607,15 +2208,6 @@ class Database {
         return Promise.all(promises);
     }
 
-    async blobToBase64(blob) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result.split(',')[1]);
-            reader.onerror = reject;
-            reader.readAsDataURL(blob);
-        });
-    }
-
     base64ToBlob(base64, mimeType) {
         const byteCharacters = atob(base64);
         const byteNumbers = new Array(byteCharacters.length);
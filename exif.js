@@ -0,0 +1,328 @@
+/**
+ * EXIF metadata reader for Sam Pinkelman World
+ * Parses the APP1 segment of JPEG files so camera details survive canvas compression,
+ * and decides which of them are kept according to the admin's metadata policy
+ */
+
+// Tags we read, by IFD. Anything else is skipped.
+const EXIF_TAGS = {
+    ifd0: {
+        0x010F: 'Make',
+        0x0110: 'Model',
+        0x0112: 'Orientation',
+        0x0132: 'DateTime',
+        0x8769: 'ExifIFDPointer',
+        0x8825: 'GPSInfoIFDPointer'
+    },
+    exif: {
+        0x829A: 'ExposureTime',
+        0x829D: 'FNumber',
+        0x8827: 'ISOSpeedRatings',
+        0x9003: 'DateTimeOriginal',
+        0x920A: 'FocalLength',
+        0xA405: 'FocalLengthIn35mmFilm',
+        0xA433: 'LensMake',
+        0xA434: 'LensModel'
+    },
+    gps: {
+        0x0001: 'GPSLatitudeRef',
+        0x0002: 'GPSLatitude',
+        0x0003: 'GPSLongitudeRef',
+        0x0004: 'GPSLongitude'
+    }
+};
+
+// Bytes per component for each TIFF field type
+const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Which metadata uploads keep. Location is off by default so GPS never leaks on publish.
+const EXIF_POLICY_KEY = 'photo-metadata-policy';
+const EXIF_DEFAULT_POLICY = { camera: true, date: true, location: false };
+
+class Exif {
+    /**
+     * Read the details we keep with a photo
+     * @param {Blob} blob - Original image file
+     * @param {Object} policy - Which groups to keep (default: the saved policy)
+     * @returns {Promise<Object|null>} - See summarize()
+     */
+    static async read(blob, policy = Exif.getPolicy()) {
+        return Exif.summarize(await Exif.readTags(blob), policy);
+    }
+
+    /**
+     * Reduce raw tags to the fields allowed by the metadata policy
+     * @param {Object} tags - Result of readTags
+     * @param {Object} policy - { camera, date, location } booleans
+     * @returns {Object|null} - { make, model, lens, exposureTime, fNumber, iso, focalLength, focalLength35mm,
+     *                          dateTaken, gps: { latitude, longitude } } (missing fields omitted), or null
+     */
+    static summarize(tags, policy = EXIF_DEFAULT_POLICY) {
+        if (!tags) return null;
+
+        const { ifd0, exif, gps } = tags;
+        const summary = {};
+
+        if (policy.camera) {
+            Object.assign(summary, {
+                make: ifd0.Make,
+                model: ifd0.Model,
+                lens: exif.LensModel || exif.LensMake,
+                exposureTime: exif.ExposureTime,
+                fNumber: exif.FNumber,
+                iso: Array.isArray(exif.ISOSpeedRatings) ? exif.ISOSpeedRatings[0] : exif.ISOSpeedRatings,
+                focalLength: exif.FocalLength,
+                focalLength35mm: exif.FocalLengthIn35mmFilm
+            });
+        }
+
+        if (policy.date) {
+            summary.dateTaken = Exif.parseDate(exif.DateTimeOriginal || ifd0.DateTime);
+        }
+
+        if (policy.location) {
+            const latitude = Exif.toDecimalDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+            const longitude = Exif.toDecimalDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+            if (latitude !== undefined && longitude !== undefined) {
+                summary.gps = { latitude, longitude };
+            }
+        }
+
+        Object.keys(summary).forEach(key => {
+            if (summary[key] === undefined || summary[key] === null || summary[key] === '' || Number.isNaN(summary[key])) {
+                delete summary[key];
+            }
+        });
+
+        return Object.keys(summary).length > 0 ? summary : null;
+    }
+
+    /**
+     * Read raw tag values from a JPEG's EXIF segment
+     * @param {Blob} blob - Image file
+     * @returns {Promise<Object|null>} - { ifd0, exif, gps } keyed by tag name, or null if there is no EXIF
+     */
+    static async readTags(blob) {
+        if (!blob || !/^image\/jpe?g$/i.test(blob.type)) return null;
+
+        // APP1 is limited to 64KB and sits right after the start-of-image marker
+        const view = new DataView(await blob.slice(0, 128 * 1024).arrayBuffer());
+        const tiffStart = Exif.findTiffHeader(view);
+        if (tiffStart === -1) return null;
+
+        try {
+            const byteOrder = view.getUint16(tiffStart);
+            if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return null;
+            const little = byteOrder === 0x4949;
+
+            const ifd0 = Exif.readIfd(view, tiffStart, view.getUint32(tiffStart + 4, little), little, EXIF_TAGS.ifd0);
+            const exif = ifd0.ExifIFDPointer
+                ? Exif.readIfd(view, tiffStart, ifd0.ExifIFDPointer, little, EXIF_TAGS.exif)
+                : {};
+            const gps = ifd0.GPSInfoIFDPointer
+                ? Exif.readIfd(view, tiffStart, ifd0.GPSInfoIFDPointer, little, EXIF_TAGS.gps)
+                : {};
+
+            return { ifd0, exif, gps };
+        } catch (error) {
+            // Truncated or malformed EXIF - treat as absent rather than failing the upload
+            console.warn('Failed to parse EXIF data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * EXIF orientation (1-8) of an image; 1 means upright
+     * @param {Object} tags - Result of readTags
+     */
+    static getOrientation(tags) {
+        const orientation = tags && tags.ifd0.Orientation;
+        return Number.isInteger(orientation) && orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+
+    static toDecimalDegrees(values, ref) {
+        if (!Array.isArray(values) || values.length !== 3 || values.some(v => !Number.isFinite(v))) {
+            return undefined;
+        }
+
+        const degrees = values[0] + values[1] / 60 + values[2] / 3600;
+        return Math.round((ref === 'S' || ref === 'W' ? -degrees : degrees) * 1e6) / 1e6;
+    }
+
+    /**
+     * Remove EXIF, XMP and IPTC segments (GPS, serial numbers, etc.) from a JPEG without re-encoding it.
+     * Orientation is removed too, so rotated images should be re-encoded upright instead.
+     * @param {Blob} blob - Image file
+     * @returns {Promise<Blob>} - JPEG without metadata segments; other formats are returned unchanged
+     */
+    static async stripMetadata(blob) {
+        if (!blob || !/^image\/jpe?g$/i.test(blob.type)) return blob;
+
+        const head = new DataView(await blob.slice(0, 256 * 1024).arrayBuffer());
+        if (head.byteLength < 4 || head.getUint16(0) !== 0xFFD8) return blob;
+
+        const parts = [blob.slice(0, 2)];
+        let offset = 2;
+
+        while (offset + 4 <= head.byteLength) {
+            const marker = head.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+
+            const end = offset + 2 + head.getUint16(offset + 2);
+            // APP1 holds EXIF and XMP, APP13 holds IPTC
+            if (marker !== 0xFFE1 && marker !== 0xFFED) {
+                parts.push(blob.slice(offset, end));
+            }
+            offset = end;
+        }
+
+        parts.push(blob.slice(offset));
+        return new Blob(parts, { type: blob.type });
+    }
+
+    /**
+     * Get the saved metadata policy
+     * @returns {Object} - { camera, date, location } booleans
+     */
+    static getPolicy(storage = window.localStorage) {
+        try {
+            const saved = JSON.parse(storage.getItem(EXIF_POLICY_KEY) || '{}');
+            return { ...EXIF_DEFAULT_POLICY, ...saved };
+        } catch (error) {
+            return { ...EXIF_DEFAULT_POLICY };
+        }
+    }
+
+    static savePolicy(policy, storage = window.localStorage) {
+        storage.setItem(EXIF_POLICY_KEY, JSON.stringify({
+            camera: !!policy.camera,
+            date: !!policy.date,
+            location: !!policy.location
+        }));
+    }
+
+    /**
+     * Find the TIFF header inside the JPEG APP1 "Exif" segment
+     * @returns {number} - Byte offset of the TIFF header, or -1
+     */
+    static findTiffHeader(view) {
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return -1;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+
+            const length = view.getUint16(offset + 2);
+            if (marker === 0xFFE1 && offset + 10 <= view.byteLength &&
+                view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+                return offset + 10;
+            }
+
+            offset += 2 + length;
+        }
+
+        return -1;
+    }
+
+    static readIfd(view, tiffStart, ifdOffset, little, tagNames) {
+        const tags = {};
+        const start = tiffStart + ifdOffset;
+        const count = view.getUint16(start, little);
+
+        for (let i = 0; i < count; i++) {
+            const entry = start + 2 + i * 12;
+            const name = tagNames[view.getUint16(entry, little)];
+            if (name) {
+                tags[name] = Exif.readValue(view, tiffStart, entry, little);
+            }
+        }
+
+        return tags;
+    }
+
+    static readValue(view, tiffStart, entry, little) {
+        const type = view.getUint16(entry + 2, little);
+        const count = view.getUint32(entry + 4, little);
+        const size = EXIF_TYPE_SIZES[type];
+        if (!size) return undefined;
+
+        // Values larger than 4 bytes are stored elsewhere, at an offset from the TIFF header
+        const offset = size * count > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8;
+        if (offset + size * count > view.byteLength) return undefined;
+
+        if (type === 2) {
+            let text = '';
+            for (let i = 0; i < count; i++) {
+                const code = view.getUint8(offset + i);
+                if (code === 0) break;
+                text += String.fromCharCode(code);
+            }
+            return text.trim();
+        }
+
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            const at = offset + i * size;
+            switch (type) {
+                case 3: values.push(view.getUint16(at, little)); break;
+                case 4: values.push(view.getUint32(at, little)); break;
+                case 9: values.push(view.getInt32(at, little)); break;
+                case 5: values.push(view.getUint32(at, little) / view.getUint32(at + 4, little)); break;
+                case 10: values.push(view.getInt32(at, little) / view.getInt32(at + 4, little)); break;
+                default: values.push(view.getUint8(at));
+            }
+        }
+
+        return values.length === 1 ? values[0] : values;
+    }
+
+    /**
+     * Convert an EXIF "YYYY:MM:DD HH:MM:SS" date to "YYYY-MM-DDTHH:MM:SS" (camera local time)
+     */
+    static parseDate(value) {
+        const match = typeof value === 'string' && /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value);
+        if (!match || match[1] === '0000') return undefined;
+        return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+    }
+
+    /**
+     * Turn stored EXIF details into labelled rows for display
+     * @param {Object} exif - Summary from Exif.read
+     * @returns {Array<Array<string>>} - [label, value] pairs
+     */
+    static describe(exif) {
+        if (!exif) return [];
+
+        const rows = [];
+        const camera = exif.model && exif.make && !exif.model.startsWith(exif.make)
+            ? `${exif.make} ${exif.model}`
+            : exif.model || exif.make;
+
+        if (camera) rows.push(['Camera', camera]);
+        if (exif.lens) rows.push(['Lens', exif.lens]);
+        if (exif.exposureTime) {
+            const exposure = exif.exposureTime < 1
+                ? `1/${Math.round(1 / exif.exposureTime)}`
+                : `${parseFloat(exif.exposureTime.toFixed(1))}`;
+            rows.push(['Exposure', `${exposure} s`]);
+        }
+        if (exif.fNumber) rows.push(['Aperture', `f/${parseFloat(exif.fNumber.toFixed(1))}`]);
+        if (exif.iso) rows.push(['ISO', String(exif.iso)]);
+        if (exif.focalLength) {
+            const equivalent = exif.focalLength35mm && exif.focalLength35mm !== Math.round(exif.focalLength)
+                ? ` (${exif.focalLength35mm} mm equiv.)`
+                : '';
+            rows.push(['Focal length', `${parseFloat(exif.focalLength.toFixed(1))} mm${equivalent}`]);
+        }
+        if (exif.dateTaken) {
+            const date = new Date(exif.dateTaken);
+            rows.push(['Taken', isNaN(date.getTime()) ? exif.dateTaken : date.toLocaleString()]);
+        }
+
+        return rows;
+    }
+}
+
+// Export Exif for use in other modules
+window.Exif = Exif;
@@ -191,8 +191,8 @@ class FirebaseDatabase {
                         
                         const blob = await response.blob();
                         
-                        // Update local cache
-                        await this.localDb.putAsset(key, blob);
+                        // Update local cache (a cache fill, so it needs no branding permission)
+                        await this.localDb.cacheAsset(key, blob, data.updatedAt);
                         
                         return {
                             key: data.key,
@@ -227,9 +227,9 @@ class FirebaseDatabase {
     }
 
     // Album operations (enhanced with cloud sync)
-    async createAlbum(name) {
+    async createAlbum(name, parentId = null) {
         // Create locally first
-        const localId = await this.localDb.createAlbum(name);
+        const localId = await this.localDb.createAlbum(name, parentId);
         
         if (!this.syncEnabled) return localId;
         
@@ -238,6 +238,7 @@ class FirebaseDatabase {
             const albumData = {
                 name,
                 localId,
+                parentId,
                 order: Date.now(), // Use timestamp for ordering
                 createdAt: new Date().toISOString(),
                 photos: []
@@ -271,7 +272,10 @@ class FirebaseDatabase {
                         id: data.localId || doc.id,
                         cloudId: doc.id,
                         name: data.name,
+                        parentId: data.parentId || null,
                         order: data.order,
+                        coverPhotoUid: data.coverPhotoUid,
+                        coverFocus: data.coverFocus,
                         createdAt: data.createdAt
                     });
                 });
@@ -279,6 +283,8 @@ class FirebaseDatabase {
                 // Sort by order
                 albums.sort((a, b) => (a.order || 0) - (b.order || 0));
                 
+                await this.localDb.indexCloudRecords('albums', albums);
+                
                 return albums;
             } catch (error) {
                 console.warn('Failed to get albums from cloud, using local:', error);
@@ -290,24 +296,31 @@ class FirebaseDatabase {
     }
 
     async deleteAlbum(id) {
-        // Delete locally first
-        await this.localDb.deleteAlbum(id);
+        // Delete locally first (with its sub-albums)
+        const albumIds = await this.localDb.deleteAlbum(id);
         
-        if (!this.syncEnabled) return;
+        if (!this.syncEnabled) return albumIds;
         
         try {
             // Find and delete from Firestore
             const albumsRef = window.FirebaseFunctions.collection(this.firestore, 'albums');
-            const q = window.FirebaseFunctions.query(albumsRef, window.FirebaseFunctions.where('localId', '==', id));
-            const querySnapshot = await window.FirebaseFunctions.getDocs(q);
             
-            querySnapshot.forEach(async (doc) => {
-                await window.FirebaseFunctions.deleteDoc(doc.ref);
-            });
+            for (const albumId of albumIds) {
+                const q = window.FirebaseFunctions.query(albumsRef, window.FirebaseFunctions.where('localId', '==', albumId));
+                const querySnapshot = await window.FirebaseFunctions.getDocs(q);
+                
+                const deletes = [];
+                querySnapshot.forEach((doc) => {
+                    deletes.push(window.FirebaseFunctions.deleteDoc(doc.ref));
+                });
+                await Promise.all(deletes);
+            }
             
         } catch (error) {
             console.warn('Failed to delete album from cloud:', error);
         }
+        
+        return albumIds;
     }
 
     // Video operations (enhanced with cloud sync)
@@ -370,6 +383,8 @@ class FirebaseDatabase {
                 // Sort by order
                 videos.sort((a, b) => (a.order || 0) - (b.order || 0));
                 
+                await this.localDb.indexCloudRecords('videos', videos);
+                
                 return videos;
             } catch (error) {
                 console.warn('Failed to get videos from cloud, using local:', error);
@@ -402,9 +417,9 @@ class FirebaseDatabase {
     }
 
     // Essay operations (enhanced with cloud sync)
-    async addEssay(file, title) {
+    async addEssay(file, title, content = null, cover = null) {
         // Add locally first
-        const localId = await this.localDb.addEssay(file, title);
+        const localId = await this.localDb.addEssay(file, title, content, cover);
         
         if (!this.syncEnabled) return localId;
         
@@ -422,7 +437,8 @@ class FirebaseDatabase {
                 mime: 'application/pdf',
                 size: file.size,
                 order: Date.now(),
-                createdAt: new Date().toISOString()
+                createdAt: new Date().toISOString(),
+                ...(content ? this.getEssayStats(content) : {})
             };
             
             await window.FirebaseFunctions.addDoc(
@@ -445,6 +461,9 @@ class FirebaseDatabase {
                 const essaysRef = window.FirebaseFunctions.collection(this.firestore, 'essays');
                 const querySnapshot = await window.FirebaseFunctions.getDocs(essaysRef);
                 
+                // Covers are stored locally only
+                const localEssays = new Map((await this.localDb.getAllEssays()).map(essay => [essay.id, essay]));
+                
                 const essays = [];
                 for (const doc of querySnapshot.docs) {
                     const data = doc.data();
@@ -467,13 +486,21 @@ class FirebaseDatabase {
                         mime: data.mime,
                         size: data.size,
                         order: data.order,
-                        createdAt: data.createdAt
+                        createdAt: data.createdAt,
+                        pageCount: data.pageCount,
+                        wordCount: data.wordCount,
+                        readingMinutes: data.readingMinutes,
+                        excerpt: data.excerpt,
+                        coverBlob: localEssays.has(data.localId) ? localEssays.get(data.localId).coverBlob : undefined,
+                        customCover: localEssays.has(data.localId) ? localEssays.get(data.localId).customCover : false
                     });
                 }
                 
                 // Sort by order
                 essays.sort((a, b) => (a.order || 0) - (b.order || 0));
                 
+                await this.localDb.indexCloudRecords('essays', essays);
+                
                 return essays;
             } catch (error) {
                 console.warn('Failed to get essays from cloud, using local:', error);
@@ -529,7 +556,10 @@ class FirebaseDatabase {
                 await window.FirebaseFunctions.addDoc(albumsRef, {
                     localId: album.id,
                     name: album.name,
+                    parentId: album.parentId || null,
                     order: album.order || Date.now(),
+                    coverPhotoUid: album.coverPhotoUid || null,
+                    coverFocus: album.coverFocus || null,
                     createdAt: album.createdAt || new Date().toISOString(),
                     photos: []
                 });
@@ -591,6 +621,127 @@ class FirebaseDatabase {
         }
     }
 
+    /**
+     * Overwrite the cloud copies of records a merge replaced with the backup's version.
+     * syncLocalToCloud only adds records missing from the cloud, so these would otherwise
+     * come back as they were on the next cloud listing.
+     * @param {Object} plan - Merge plan that was applied
+     */
+    async syncReplacedToCloud(plan) {
+        const replaced = plan.items.filter(item => item.action === 'replace' && item.storeName !== 'assets');
+        
+        for (const { storeName, local } of replaced) {
+            // Re-read, as the merge re-links parents after writing
+            const record = await this.localDb.getRecord(storeName, local.id);
+            if (!record) continue;
+            
+            switch (storeName) {
+                case 'albums':
+                    await this.updateCloudRecord('albums', record.id, {
+                        name: record.name,
+                        parentId: record.parentId || null,
+                        coverPhotoUid: record.coverPhotoUid || null,
+                        coverFocus: record.coverFocus || null
+                    });
+                    break;
+                case 'essays':
+                    await this.replaceCloudEssay(record);
+                    break;
+                case 'videos':
+                    await this.updateCloudRecord('videos', record.id, {
+                        provider: record.provider,
+                        url: record.url,
+                        embedId: record.embedId,
+                        title: record.title || null
+                    });
+                    break;
+            }
+        }
+    }
+
+    // Upload an essay's current PDF in place of the cloud copy's, then remove the old file
+    async replaceCloudEssay(essay) {
+        try {
+            const essaysRef = window.FirebaseFunctions.collection(this.firestore, 'essays');
+            const q = window.FirebaseFunctions.query(essaysRef, window.FirebaseFunctions.where('localId', '==', essay.id));
+            const querySnapshot = await window.FirebaseFunctions.getDocs(q);
+            
+            for (const doc of querySnapshot.docs) {
+                const changes = { title: essay.title, mime: essay.mime || 'application/pdf', size: essay.size || 0 };
+                const oldURL = doc.data().downloadURL;
+                
+                if (essay.pdfBlob) {
+                    const storageRef = window.FirebaseFunctions.ref(this.storage, `essays/${Date.now()}_${essay.title}.pdf`);
+                    const snapshot = await window.FirebaseFunctions.uploadBytes(storageRef, essay.pdfBlob);
+                    changes.downloadURL = await window.FirebaseFunctions.getDownloadURL(snapshot.ref);
+                }
+                
+                await window.FirebaseFunctions.updateDoc(doc.ref, changes);
+                
+                if (changes.downloadURL && oldURL) {
+                    try {
+                        await window.FirebaseFunctions.deleteObject(window.FirebaseFunctions.ref(this.storage, oldURL));
+                    } catch (storageError) {
+                        console.warn('Failed to delete essay file from storage:', storageError);
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to replace essay in cloud:', error);
+        }
+    }
+
+    /**
+     * Apply changes to the cloud copy of a local record
+     * @param {string} collectionName - Firestore collection ('albums', 'essays' or 'videos')
+     * @param {number} localId - Local record id
+     * @param {Object} changes - Fields to update
+     */
+    async updateCloudRecord(collectionName, localId, changes) {
+        if (!this.syncEnabled) return;
+        
+        try {
+            const collectionRef = window.FirebaseFunctions.collection(this.firestore, collectionName);
+            const q = window.FirebaseFunctions.query(collectionRef, window.FirebaseFunctions.where('localId', '==', localId));
+            const querySnapshot = await window.FirebaseFunctions.getDocs(q);
+            
+            const updates = [];
+            querySnapshot.forEach((doc) => {
+                updates.push(window.FirebaseFunctions.updateDoc(doc.ref, changes));
+            });
+            
+            await Promise.all(updates);
+        } catch (error) {
+            console.warn(`Failed to update ${collectionName} record in cloud:`, error);
+        }
+    }
+
+    /**
+     * Write a new order to the cloud copies of local records, so other devices show it too
+     * @param {string} collectionName - Firestore collection ('albums', 'essays' or 'videos')
+     * @param {Array<number>} idsInOrder - Local ids in their new order
+     */
+    async syncOrderToCloud(collectionName, idsInOrder) {
+        if (!this.syncEnabled) return;
+        
+        try {
+            const collectionRef = window.FirebaseFunctions.collection(this.firestore, collectionName);
+            const querySnapshot = await window.FirebaseFunctions.getDocs(collectionRef);
+            
+            const updates = [];
+            querySnapshot.forEach((doc) => {
+                const index = idsInOrder.indexOf(doc.data().localId);
+                if (index !== -1) {
+                    updates.push(window.FirebaseFunctions.updateDoc(doc.ref, { order: index }));
+                }
+            });
+            
+            await Promise.all(updates);
+        } catch (error) {
+            console.warn(`Failed to sync ${collectionName} order to cloud:`, error);
+        }
+    }
+
     // Real-time change handlers
     handleRealtimeAlbumChange(change) {
         // Handle real-time album updates from other devices
@@ -640,49 +791,202 @@ class FirebaseDatabase {
         return await this.localDb.initializeDefaultVideos();
     }
 
+    // Photo configuration lives on the local database
+    get photoMetadataFields() {
+        return this.localDb.photoMetadataFields;
+    }
+
+    get renditionSizes() {
+        return this.localDb.renditionSizes;
+    }
+
     // Passthrough methods for compatibility
     async renameAlbum(id, name) {
         return await this.localDb.renameAlbum(id, name);
     }
 
+    async setAlbumCover(id, photoUid, focus) {
+        const album = await this.localDb.setAlbumCover(id, photoUid, focus);
+        
+        // Covers refer to photos by uid, so other devices can match them once they have the photos
+        await this.updateCloudRecord('albums', id, {
+            coverPhotoUid: album.coverPhotoUid || null,
+            coverFocus: album.coverFocus || null
+        });
+        
+        return album;
+    }
+
+    async moveAlbum(id, parentId) {
+        const album = await this.localDb.moveAlbum(id, parentId);
+        
+        await this.updateCloudRecord('albums', id, {
+            parentId: album.parentId,
+            order: album.order
+        });
+        
+        return album;
+    }
+
     async reorderAlbums(idsInOrder) {
-        return await this.localDb.reorderAlbums(idsInOrder);
+        await this.localDb.reorderAlbums(idsInOrder);
+        await this.syncOrderToCloud('albums', idsInOrder);
+    }
+
+    async addPhoto(albumId, file, details) {
+        return await this.localDb.addPhoto(albumId, file, details);
     }
 
-    async addPhoto(albumId, file) {
-        return await this.localDb.addPhoto(albumId, file);
+    async updatePhoto(id, changes) {
+        return await this.localDb.updatePhoto(id, changes);
     }
 
     async getPhotosByAlbum(albumId) {
         return await this.localDb.getPhotosByAlbum(albumId);
     }
 
+    async getAllPhotos() {
+        return await this.localDb.getAllPhotos();
+    }
+
+    async addPhotoTags(photoIds, tags) {
+        return await this.localDb.addPhotoTags(photoIds, tags);
+    }
+
+    async getPhotosByTag(tag) {
+        return await this.localDb.getPhotosByTag(tag);
+    }
+
+    async getPhotoTags() {
+        return await this.localDb.getPhotoTags();
+    }
+
+    // Search runs on the local index. Albums, essays and videos from other devices are indexed as
+    // they are listed from the cloud, though essay text is only indexed on the device that read it.
+    async search(query, limit) {
+        return await this.localDb.search(query, limit);
+    }
+
+    async rebuildSearchIndex() {
+        return await this.localDb.rebuildSearchIndex();
+    }
+
+    async getEssaysWithoutContent() {
+        return await this.localDb.getEssaysWithoutContent();
+    }
+
+    async setEssayContent(id, content) {
+        const saved = await this.localDb.setEssayContent(id, content);
+        
+        // Every visitor reads the PDFs locally, but only editors may write the cloud copy
+        const permissions = this.localDb.permissions;
+        if (saved && (!permissions || permissions.can('essays:edit'))) {
+            await this.updateCloudRecord('essays', id, this.getEssayStats(content));
+        }
+        return saved;
+    }
+
+    async getEssaysWithoutCover() {
+        return await this.localDb.getEssaysWithoutCover();
+    }
+
+    async setEssayCover(id, blob, custom, replace) {
+        return await this.localDb.setEssayCover(id, blob, custom, replace);
+    }
+
+    /**
+     * The parts of an essay's content shown on its card. The full text stays local, as it
+     * can be large and is only used for search.
+     */
+    getEssayStats(content) {
+        return {
+            pageCount: content.pageCount,
+            wordCount: content.wordCount,
+            readingMinutes: content.readingMinutes,
+            excerpt: content.excerpt
+        };
+    }
+
+    async replacePhotoImage(id, blob, encoding) {
+        return await this.localDb.replacePhotoImage(id, blob, encoding);
+    }
+
+    getRendition(photo, size) {
+        return this.localDb.getRendition(photo, size);
+    }
+
+    async createRenditions(blob) {
+        return await this.localDb.createRenditions(blob);
+    }
+
+    async getPhotosWithoutRenditions() {
+        return await this.localDb.getPhotosWithoutRenditions();
+    }
+
+    async setPhotoRenditions(id, renditions, source) {
+        return await this.localDb.setPhotoRenditions(id, renditions, source);
+    }
+
     async removePhoto(photoId) {
         return await this.localDb.removePhoto(photoId);
     }
 
+    async removePhotos(photoIds) {
+        return await this.localDb.removePhotos(photoIds);
+    }
+
+    async movePhotos(photoIds, albumId) {
+        return await this.localDb.movePhotos(photoIds, albumId);
+    }
+
+    async copyPhotos(photoIds, albumId) {
+        return await this.localDb.copyPhotos(photoIds, albumId);
+    }
+
+    getFileExtension(mimeType) {
+        return this.localDb.getFileExtension(mimeType);
+    }
+
     async reorderPhotos(albumId, idsInOrder) {
         return await this.localDb.reorderPhotos(albumId, idsInOrder);
     }
 
+    async addUpload(albumId, file) {
+        return await this.localDb.addUpload(albumId, file);
+    }
+
+    async getAllUploads() {
+        return await this.localDb.getAllUploads();
+    }
+
+    async updateUpload(id, changes) {
+        return await this.localDb.updateUpload(id, changes);
+    }
+
+    async removeUpload(id) {
+        return await this.localDb.removeUpload(id);
+    }
+
     async renameEssay(id, title) {
         return await this.localDb.renameEssay(id, title);
     }
 
     async reorderEssays(idsInOrder) {
-        return await this.localDb.reorderEssays(idsInOrder);
+        await this.localDb.reorderEssays(idsInOrder);
+        await this.syncOrderToCloud('essays', idsInOrder);
     }
 
     async reorderVideos(idsInOrder) {
-        return await this.localDb.reorderVideos(idsInOrder);
+        await this.localDb.reorderVideos(idsInOrder);
+        await this.syncOrderToCloud('videos', idsInOrder);
     }
 
-    async exportAll() {
-        return await this.localDb.exportAll();
+    async exportAll(writable, options) {
+        return await this.localDb.exportAll(writable, options);
     }
 
-    async importAll(data) {
-        const result = await this.localDb.importAll(data);
+    async importAll(file) {
+        const result = await this.localDb.importAll(file);
         
         // Sync imported data to cloud
         if (this.syncEnabled) {
@@ -692,9 +996,38 @@ class FirebaseDatabase {
         return result;
     }
 
+    async readBackup(file) {
+        return await this.localDb.readBackup(file);
+    }
+
+    async planMerge(data) {
+        return await this.localDb.planMerge(data);
+    }
+
+    async applyMerge(plan) {
+        const result = await this.localDb.applyMerge(plan);
+        
+        // Sync merged data to cloud
+        if (this.syncEnabled) {
+            await this.syncLocalToCloud();
+            await this.syncReplacedToCloud(plan);
+        }
+        
+        return result;
+    }
+
     parseVideoUrl(url) {
         return this.localDb.parseVideoUrl(url);
     }
+
+    // Permissions are enforced by the local database, which every write goes through first
+    setPermissions(permissions) {
+        this.localDb.setPermissions(permissions);
+    }
+
+    assertPermission(action) {
+        this.localDb.assertPermission(action);
+    }
 }
 
 // Replace the global database instance with Firebase-enhanced version
@@ -0,0 +1,150 @@
+/**
+ * Image worker pool for Sam Pinkelman World
+ * Runs image encoding in a few image-worker.js workers so large imports do not freeze the page.
+ * Callers fall back to the main thread when workers are unavailable (see Utils.encodeImage).
+ */
+
+class ImageWorkerPool {
+    /**
+     * @param {string} scriptUrl - Worker script
+     * @param {number} size - Maximum number of workers (default: one per spare CPU core, up to 4)
+     */
+    constructor(scriptUrl = 'image-worker.js', size = Math.min(4, Math.max(1, (navigator.hardwareConcurrency || 2) - 1))) {
+        this.scriptUrl = scriptUrl;
+        this.size = size;
+        this.workers = [];
+        this.queue = [];
+        this.tasks = new Map();
+        this.nextId = 1;
+        this.disabled = false;
+    }
+
+    /**
+     * Check whether images can be encoded in workers in this browser
+     * @returns {boolean} - True if the pool can run tasks
+     */
+    isSupported() {
+        return !this.disabled &&
+            typeof Worker !== 'undefined' &&
+            typeof createImageBitmap === 'function' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof OffscreenCanvas.prototype.convertToBlob === 'function';
+    }
+
+    /**
+     * Run an operation on the next free worker
+     * @param {string} op - Operation in image-worker.js ('encode' or 'renditions')
+     * @param {Object} payload - Operation input; blobs are copied to the worker
+     * @returns {Promise<*>} - Operation result
+     */
+    run(op, payload) {
+        return new Promise((resolve, reject) => {
+            if (!this.isSupported()) {
+                reject(this.createUnavailableError());
+                return;
+            }
+
+            this.queue.push({ id: this.nextId++, op, payload, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            const worker = this.getIdleWorker();
+            if (!worker) return;
+
+            const task = this.queue.shift();
+            worker.task = task;
+            this.tasks.set(task.id, { task, worker });
+            worker.postMessage({ id: task.id, op: task.op, payload: task.payload });
+        }
+    }
+
+    getIdleWorker() {
+        const idle = this.workers.find(worker => !worker.task);
+        if (idle || this.workers.length >= this.size) {
+            return idle || null;
+        }
+
+        try {
+            const worker = new Worker(this.scriptUrl);
+            worker.task = null;
+            worker.hasCompletedTask = false;
+            worker.onmessage = (event) => this.handleMessage(worker, event.data);
+            worker.onerror = (event) => this.handleError(worker, event);
+            this.workers.push(worker);
+            return worker;
+        } catch (error) {
+            // e.g. pages opened from file://, where workers cannot be started
+            console.warn('Image workers unavailable:', error);
+            this.disable();
+            return null;
+        }
+    }
+
+    handleMessage(worker, { id, result, error }) {
+        const entry = this.tasks.get(id);
+        this.tasks.delete(id);
+        worker.task = null;
+        worker.hasCompletedTask = true;
+
+        if (entry) {
+            if (error) {
+                entry.task.reject(new Error(error));
+            } else {
+                entry.task.resolve(result);
+            }
+        }
+
+        this.dispatch();
+    }
+
+    /**
+     * A worker that fails before finishing any task most likely could not load its script,
+     * so stop using workers; otherwise replace just that worker.
+     */
+    handleError(worker, event) {
+        event.preventDefault();
+        console.warn('Image worker error:', event.message);
+
+        const task = worker.task;
+        worker.terminate();
+        this.workers = this.workers.filter(w => w !== worker);
+
+        if (task) {
+            this.tasks.delete(task.id);
+            task.reject(this.createUnavailableError());
+        }
+
+        if (!worker.hasCompletedTask) {
+            this.disable();
+        } else {
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Stop using workers and fail anything still waiting, so callers fall back to the main thread
+     */
+    disable() {
+        this.disabled = true;
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+
+        const pending = [...this.queue, ...Array.from(this.tasks.values(), entry => entry.task)];
+        this.queue = [];
+        this.tasks.clear();
+        pending.forEach(task => task.reject(this.createUnavailableError()));
+    }
+
+    createUnavailableError() {
+        const error = new Error('Image workers unavailable');
+        error.code = 'worker-unavailable';
+        return error;
+    }
+}
+
+// Export ImageWorkerPool and create global instance
+window.ImageWorkerPool = ImageWorkerPool;
+window.imageWorkerPool = new ImageWorkerPool();
@@ -0,0 +1,113 @@
+/**
+ * Image encoding worker for Sam Pinkelman World
+ * Resizes and encodes images off the main thread with createImageBitmap and OffscreenCanvas.
+ * Started by ImageWorkerPool; mirrors Utils.encodeImageOnMainThread, which is used when workers are unavailable.
+ *
+ * Messages in:  { id, op: 'encode', payload: { file, options } }
+ *               { id, op: 'renditions', payload: { file, sizes } }
+ * Messages out: { id, result } or { id, error }
+ */
+
+/**
+ * Scale dimensions down to fit within maxDimension, keeping the aspect ratio
+ */
+function fitWithin(width, height, maxDimension) {
+    if (width <= maxDimension && height <= maxDimension) {
+        return { width, height };
+    }
+
+    const aspectRatio = width / height;
+    return width > height
+        ? { width: maxDimension, height: maxDimension / aspectRatio }
+        : { width: maxDimension * aspectRatio, height: maxDimension };
+}
+
+/**
+ * Draw a decoded image at a size and encode it, stepping quality down until it fits the size limit
+ * @param {ImageBitmap} bitmap - Decoded image (already upright: createImageBitmap applies EXIF orientation)
+ * @param {Object} options - { type, quality, maxSizeMB, maxDimension }
+ * @param {number} originalSize - Size of the source file in bytes, echoed in the result
+ * @returns {Promise<Object>} - { blob, type, quality, width, height, originalSize }
+ */
+async function encodeBitmap(bitmap, { type, quality: startQuality, maxSizeMB, maxDimension }, originalSize) {
+    const { width, height } = fitWithin(bitmap.width, bitmap.height, maxDimension);
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    // JPEG has no transparency, so give transparent images a white background
+    if (type === 'image/jpeg') {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(bitmap, 0, 0, width, height);
+
+    const maxBytes = maxSizeMB * 1024 * 1024;
+    let quality = startQuality;
+
+    for (;;) {
+        const blob = await canvas.convertToBlob({ type, quality });
+
+        if (blob.size <= maxBytes || quality <= 0.1) {
+            return {
+                blob,
+                type: blob.type,
+                quality: Math.round(quality * 100) / 100,
+                width: canvas.width,
+                height: canvas.height,
+                originalSize
+            };
+        }
+
+        quality -= 0.1;
+    }
+}
+
+async function encode({ file, options }) {
+    const bitmap = await createImageBitmap(file);
+    try {
+        return await encodeBitmap(bitmap, options, file.size);
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Create every rendition from a single decode of the image
+ * @returns {Promise<Object>} - Map of name to blob; sizes the image already fits within are skipped
+ */
+async function renditions({ file, sizes }) {
+    const bitmap = await createImageBitmap(file);
+    const longestSide = Math.max(bitmap.width, bitmap.height);
+    const result = {};
+
+    try {
+        for (const [name, { maxDimension, maxSizeMB }] of Object.entries(sizes)) {
+            if (longestSide > maxDimension) {
+                const encoded = await encodeBitmap(bitmap, { type: file.type, quality: 0.9, maxSizeMB, maxDimension }, file.size);
+                result[name] = encoded.blob;
+            }
+        }
+    } finally {
+        bitmap.close();
+    }
+
+    return result;
+}
+
+const operations = { encode, renditions };
+
+self.onmessage = async (event) => {
+    const { id, op, payload } = event.data;
+
+    try {
+        if (!operations[op]) {
+            throw new Error(`Unknown image operation: ${op}`);
+        }
+        self.postMessage({ id, result: await operations[op](payload) });
+    } catch (error) {
+        self.postMessage({ id, error: error && error.message ? error.message : 'Failed to process image' });
+    }
+};
@@ -0,0 +1,104 @@
+/**
+ * IndexedDB schema migrations for Sam Pinkelman World
+ * Ordered, versioned upgrade steps applied by Database.init and Database.importAll
+ *
+ * Each step has:
+ *   version      - Schema version the step upgrades to (strictly increasing)
+ *   description  - Short summary shown in logs
+ *   upgrade      - Optional (db, transaction) => void; creates stores and indexes
+ *                  inside the versionchange transaction
+ *   transforms   - Optional { storeName: (record) => record } map; applied to every
+ *                  stored record during upgrade and to records in older backups
+ *
+ * Never edit a step once it has shipped - add a new one with the next version.
+ */
+
+const DatabaseMigrations = [
+    {
+        version: 1,
+        description: 'Create assets, albums, photos, essays and videos stores',
+        upgrade(db) {
+            // Assets store (background, logo, favicon)
+            if (!db.objectStoreNames.contains('assets')) {
+                db.createObjectStore('assets', { keyPath: 'key' });
+            }
+
+            // Albums store
+            if (!db.objectStoreNames.contains('albums')) {
+                const albumsStore = db.createObjectStore('albums', { keyPath: 'id', autoIncrement: true });
+                albumsStore.createIndex('order', 'order', { unique: false });
+            }
+
+            // Photos store
+            if (!db.objectStoreNames.contains('photos')) {
+                const photosStore = db.createObjectStore('photos', { keyPath: 'id', autoIncrement: true });
+                photosStore.createIndex('albumId', 'albumId', { unique: false });
+                photosStore.createIndex('order', 'order', { unique: false });
+            }
+
+            // Essays store
+            if (!db.objectStoreNames.contains('essays')) {
+                const essaysStore = db.createObjectStore('essays', { keyPath: 'id', autoIncrement: true });
+                essaysStore.createIndex('order', 'order', { unique: false });
+            }
+
+            // Videos store
+            if (!db.objectStoreNames.contains('videos')) {
+                const videosStore = db.createObjectStore('videos', { keyPath: 'id', autoIncrement: true });
+                videosStore.createIndex('order', 'order', { unique: false });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Add stable uid to albums, photos, essays and videos for merge imports',
+        upgrade(db, transaction) {
+            for (const storeName of ['albums', 'photos', 'essays', 'videos']) {
+                const store = transaction.objectStore(storeName);
+                if (!store.indexNames.contains('uid')) {
+                    store.createIndex('uid', 'uid', { unique: false });
+                }
+            }
+        },
+        transforms: {
+            albums: record => ({ ...record, uid: record.uid || Database.generateUid() }),
+            photos: record => ({ ...record, uid: record.uid || Database.generateUid() }),
+            essays: record => ({ ...record, uid: record.uid || Database.generateUid() }),
+            videos: record => ({ ...record, uid: record.uid || Database.generateUid() })
+        }
+    },
+    {
+        version: 3,
+        description: 'Add uploads store for the persistent photo upload queue',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('uploads')) {
+                const uploadsStore = db.createObjectStore('uploads', { keyPath: 'id', autoIncrement: true });
+                uploadsStore.createIndex('albumId', 'albumId', { unique: false });
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Add multiEntry tags index to photos for browsing by tag',
+        upgrade(db, transaction) {
+            const store = transaction.objectStore('photos');
+            if (!store.indexNames.contains('tags')) {
+                store.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Add search store with a multiEntry terms index for offline site search',
+        upgrade(db) {
+            // Filled from the other stores by Database.ensureSearchIndex once the upgrade is done
+            if (!db.objectStoreNames.contains('search')) {
+                const searchStore = db.createObjectStore('search', { keyPath: 'key' });
+                searchStore.createIndex('terms', 'terms', { unique: false, multiEntry: true });
+            }
+        }
+    }
+];
+
+// Export migrations for use by the Database class
+window.DatabaseMigrations = DatabaseMigrations;
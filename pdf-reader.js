@@ -0,0 +1,238 @@
+/**
+ * PDF reader for Sam Pinkelman World
+ * Draws essay PDFs one page at a time with pdf.js, so reading does not depend on the browser's
+ * PDF plugin (which many mobile browsers lack). Remembers the last page read of each essay.
+ */
+
+const READING_PROGRESS_KEY = 'essay-reading-progress';
+
+class PdfReader {
+    /**
+     * @param {Storage} storage - Where last-read pages persist (default: localStorage)
+     */
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.pdf = null;
+        this.canvas = null;
+        this.progressKey = null;
+        this.onChange = null;
+        this.pageNumber = 1;
+        this.zoom = 'fit-width';
+        this.scale = 1;
+        this.minScale = 0.25;
+        this.maxScale = 4;
+        this.renderTask = null;
+        this.openRequest = 0;
+        this.renderRequest = 0;
+    }
+
+    /**
+     * Open a PDF at the page last read
+     * @param {Blob} blob - PDF file
+     * @param {HTMLCanvasElement} canvas - Canvas to draw pages on; fit-to-width fills its parent
+     * @param {Object} options - { progressKey: stable id of the essay, onChange(state) }
+     * @returns {Promise<number|null>} - Page opened at, or null if another PDF was opened meanwhile
+     */
+    async open(blob, canvas, { progressKey, onChange }) {
+        this.close();
+        const request = this.openRequest;
+
+        const pdfjsLib = await Utils.loadPdfJs();
+        const pdf = await pdfjsLib.getDocument({ data: await blob.arrayBuffer() }).promise;
+
+        if (request !== this.openRequest) {
+            pdf.destroy();
+            return null;
+        }
+
+        this.pdf = pdf;
+        this.canvas = canvas;
+        this.progressKey = progressKey;
+        this.onChange = onChange;
+        this.zoom = 'fit-width';
+        this.pageNumber = Math.min(this.getSavedPage(progressKey), pdf.numPages);
+
+        await this.render();
+        return this.pageNumber;
+    }
+
+    /**
+     * Stop rendering and free the document
+     */
+    close() {
+        this.openRequest++;
+        this.renderRequest++;
+
+        if (this.renderTask) {
+            this.renderTask.cancel();
+            this.renderTask = null;
+        }
+        if (this.pdf) {
+            this.pdf.destroy();
+            this.pdf = null;
+        }
+        if (this.canvas) {
+            this.canvas.width = 0;
+            this.canvas.height = 0;
+            this.canvas = null;
+        }
+        this.onChange = null;
+    }
+
+    isOpen() {
+        return !!this.pdf;
+    }
+
+    /**
+     * @returns {Object} - { pageNumber, pageCount, scale, fitWidth }
+     */
+    getState() {
+        return {
+            pageNumber: this.pageNumber,
+            pageCount: this.pdf ? this.pdf.numPages : 0,
+            scale: this.scale,
+            fitWidth: this.zoom === 'fit-width'
+        };
+    }
+
+    // Pages
+    async goToPage(pageNumber) {
+        if (!this.pdf) return;
+
+        const page = Math.min(Math.max(1, Math.round(pageNumber) || 1), this.pdf.numPages);
+        if (page === this.pageNumber) {
+            this.notify();
+            return;
+        }
+
+        this.pageNumber = page;
+        this.saveProgress();
+        await this.render();
+    }
+
+    nextPage() {
+        return this.goToPage(this.pageNumber + 1);
+    }
+
+    previousPage() {
+        return this.goToPage(this.pageNumber - 1);
+    }
+
+    // Zoom
+    zoomIn() {
+        return this.setZoom(this.scale * 1.25);
+    }
+
+    zoomOut() {
+        return this.setZoom(this.scale / 1.25);
+    }
+
+    fitToWidth() {
+        return this.setZoom('fit-width');
+    }
+
+    /**
+     * @param {number|string} zoom - Scale (1 is the PDF's own size) or 'fit-width'
+     */
+    async setZoom(zoom) {
+        this.zoom = zoom === 'fit-width' ? zoom : Math.min(Math.max(zoom, this.minScale), this.maxScale);
+        await this.render();
+    }
+
+    /**
+     * Draw the current page. A newer render (page turn, zoom) cancels one still in progress.
+     */
+    async render() {
+        if (!this.pdf) return;
+
+        const request = ++this.renderRequest;
+        if (this.renderTask) {
+            this.renderTask.cancel();
+            this.renderTask = null;
+        }
+
+        const page = await this.pdf.getPage(this.pageNumber);
+        if (request !== this.renderRequest) return;
+
+        this.scale = this.getScale(page);
+        const viewport = page.getViewport({ scale: this.scale });
+        const ratio = window.devicePixelRatio || 1;
+
+        // Draw at the screen's pixel density so text stays sharp
+        this.canvas.width = Math.floor(viewport.width * ratio);
+        this.canvas.height = Math.floor(viewport.height * ratio);
+        this.canvas.style.width = `${Math.floor(viewport.width)}px`;
+        this.canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+        this.renderTask = page.render({
+            canvasContext: this.canvas.getContext('2d'),
+            viewport,
+            transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+        });
+
+        try {
+            await this.renderTask.promise;
+        } catch (error) {
+            if (error && error.name === 'RenderingCancelledException') return;
+            throw error;
+        } finally {
+            if (request === this.renderRequest) {
+                this.renderTask = null;
+            }
+        }
+
+        this.notify();
+    }
+
+    getScale(page) {
+        if (this.zoom !== 'fit-width') return this.zoom;
+
+        const container = this.canvas.parentElement;
+        const style = getComputedStyle(container);
+        const width = container.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+        const scale = width / page.getViewport({ scale: 1 }).width;
+        return Math.min(Math.max(scale, this.minScale), this.maxScale);
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.getState());
+        }
+    }
+
+    // Reading progress
+    getAllProgress() {
+        try {
+            return JSON.parse(this.storage.getItem(READING_PROGRESS_KEY) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Page to reopen an essay at
+     * @param {string|number} progressKey - Essay uid (or id for essays without one)
+     * @returns {number} - Last page read, or 1
+     */
+    getSavedPage(progressKey) {
+        const progress = this.getAllProgress()[progressKey];
+        return progress && progress.page > 0 ? progress.page : 1;
+    }
+
+    saveProgress() {
+        if (!this.pdf || this.progressKey === null || this.progressKey === undefined) return;
+
+        const all = this.getAllProgress();
+        all[this.progressKey] = { page: this.pageNumber, pageCount: this.pdf.numPages, readAt: new Date().toISOString() };
+
+        try {
+            this.storage.setItem(READING_PROGRESS_KEY, JSON.stringify(all));
+        } catch (error) {
+            console.warn('Failed to save reading progress:', error);
+        }
+    }
+}
+
+// Export PdfReader and create global instance
+window.PdfReader = PdfReader;
+window.pdfReader = new PdfReader();
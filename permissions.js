@@ -0,0 +1,85 @@
+/**
+ * Role-based permissions for Sam Pinkelman World
+ * Roles: owner (everything), editor (assigned sections only), viewer (read-only)
+ */
+
+// Every action that can be granted, with how it reads in messages
+const PERMISSION_ACTIONS = {
+    'photos:edit': 'edit photos',
+    'essays:edit': 'edit essays',
+    'videos:edit': 'edit videos',
+    'branding:edit': 'change branding',
+    'data:export': 'export data',
+    'data:import': 'import data',
+    'data:clear': 'clear data'
+};
+
+// Content sections an editor can be given
+const EDITOR_SECTIONS = ['photos', 'essays', 'videos'];
+
+class Permissions {
+    /**
+     * @param {string} role - 'owner', 'editor' or 'viewer' (unknown roles become viewer)
+     * @param {Array<string>} sections - Sections an editor may manage, e.g. ['photos', 'videos']
+     */
+    constructor(role = 'viewer', sections = []) {
+        this.role = ['owner', 'editor', 'viewer'].includes(role) ? role : 'viewer';
+        this.sections = Array.isArray(sections) ? sections.filter(s => EDITOR_SECTIONS.includes(s)) : [];
+        this.actions = new Set(this.resolveActions());
+    }
+
+    resolveActions() {
+        switch (this.role) {
+            case 'owner':
+                return Object.keys(PERMISSION_ACTIONS);
+            case 'editor':
+                // Editors manage content only - never branding, import, export or clearing data
+                return this.sections.map(section => `${section}:edit`);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Check whether an action is allowed
+     * @param {string} action - Action such as 'photos:edit'
+     * @returns {boolean} - True if allowed
+     */
+    can(action) {
+        return this.actions.has(action);
+    }
+
+    canEditAnything() {
+        return this.actions.size > 0;
+    }
+
+    /**
+     * Throw if an action is not allowed
+     * @param {string} action - Action such as 'data:import'
+     */
+    assert(action) {
+        if (!this.can(action)) {
+            const error = new Error(`Permission denied: ${action}`);
+            error.code = 'permission-denied';
+            throw error;
+        }
+    }
+
+    /**
+     * Build permissions for an auth user ({ role, sections }), or viewer when signed out
+     */
+    static forUser(user) {
+        return user ? new Permissions(user.role, user.sections) : new Permissions('viewer');
+    }
+
+    static getActions() {
+        return Object.keys(PERMISSION_ACTIONS);
+    }
+
+    static describe(action) {
+        return PERMISSION_ACTIONS[action] || action;
+    }
+}
+
+// Export Permissions for use in other modules
+window.Permissions = Permissions;
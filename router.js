@@ -0,0 +1,138 @@
+/**
+ * Hash-based router for Sam Pinkelman World
+ * Maps deep links like #/photos/<albumId>/<photoIndex> or #/photos/tag/<tag>/<photoIndex> onto app state
+ */
+
+class Router {
+    constructor() {
+        this.defaultTab = 'photos';
+        this.tabs = ['photos', 'essays', 'video'];
+        this.onRouteChange = null;
+
+        this.handleHashChange = this.handleHashChange.bind(this);
+    }
+
+    /**
+     * Start listening for hash changes (back/forward and manual edits)
+     * @param {Function} onRouteChange - Called with the parsed route
+     */
+    start(onRouteChange) {
+        this.onRouteChange = onRouteChange;
+        window.addEventListener('hashchange', this.handleHashChange);
+    }
+
+    stop() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+        this.onRouteChange = null;
+    }
+
+    handleHashChange() {
+        if (this.onRouteChange) {
+            this.onRouteChange(this.getCurrentRoute());
+        }
+    }
+
+    getCurrentRoute() {
+        return this.parse(window.location.hash);
+    }
+
+    /**
+     * Parse a location hash into a route object
+     * @param {string} hash - Hash such as "#/photos/3/0"
+     * @returns {Object} - { tab, albumId, tag, photoIndex, essayId }
+     */
+    parse(hash) {
+        const segments = (hash || '')
+            .replace(/^#\/?/, '')
+            .split('/')
+            .filter(Boolean)
+            .map(segment => this.decodeSegment(segment));
+
+        const route = {
+            tab: this.tabs.includes(segments[0]) ? segments[0] : this.defaultTab,
+            albumId: null,
+            tag: null,
+            photoIndex: null,
+            essayId: null
+        };
+
+        // Unknown tabs fall back to the default tab without carrying their ids over
+        if (segments[0] === 'photos' && segments[1] !== undefined) {
+            // Tag galleries span albums: #/photos/tag/<tag>/<photoIndex>
+            const isTag = segments[1] === 'tag' && segments[2] !== undefined;
+            if (isTag) {
+                route.tag = segments[2];
+            } else {
+                route.albumId = this.parseId(segments[1]);
+            }
+
+            const photoIndex = parseInt(segments[isTag ? 3 : 2], 10);
+            if (!isNaN(photoIndex) && photoIndex >= 0) {
+                route.photoIndex = photoIndex;
+            }
+        }
+
+        if (segments[0] === 'essays' && segments[1] !== undefined) {
+            route.essayId = this.parseId(segments[1]);
+        }
+
+        return route;
+    }
+
+    /**
+     * Build a hash path from route parts
+     * @param {Object} route - { tab, albumId, tag, photoIndex, essayId }
+     * @returns {string} - Hash path such as "#/photos/3/0"
+     */
+    build(route) {
+        const segments = [route.tab || this.defaultTab];
+        const hasAlbum = route.albumId !== null && route.albumId !== undefined;
+
+        if (segments[0] === 'photos' && (hasAlbum || route.tag)) {
+            segments.push(...(hasAlbum ? [route.albumId] : ['tag', route.tag]));
+            if (route.photoIndex !== null && route.photoIndex !== undefined) {
+                segments.push(route.photoIndex);
+            }
+        }
+
+        if (segments[0] === 'essays' && route.essayId !== null && route.essayId !== undefined) {
+            segments.push(route.essayId);
+        }
+
+        return '#/' + segments.map(segment => encodeURIComponent(segment)).join('/');
+    }
+
+    /**
+     * Update the hash without triggering a route change
+     * @param {Object} route - Route to navigate to
+     * @param {boolean} replace - Replace the current history entry instead of pushing
+     */
+    navigate(route, replace = false) {
+        const hash = this.build(route);
+        if (hash === window.location.hash) return;
+
+        // pushState/replaceState do not fire hashchange, so the app is not re-routed
+        if (replace) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+
+    // A malformed escape in a shared link is kept as typed rather than breaking the route
+    decodeSegment(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return segment;
+        }
+    }
+
+    // IndexedDB ids are numeric, cloud ids are strings
+    parseId(segment) {
+        return /^\d+$/.test(segment) ? parseInt(segment, 10) : segment;
+    }
+}
+
+// Create global router instance
+window.router = new Router();
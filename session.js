@@ -0,0 +1,156 @@
+/**
+ * Admin session lock for Sam Pinkelman World
+ * Signs admins out after a period of inactivity or once the session reaches its maximum length.
+ */
+
+class SessionLock {
+    /**
+     * @param {Storage} storage - Where settings and the session start time persist (default: localStorage)
+     */
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.settingsKey = 'admin-session-settings';
+        this.sessionKey = 'admin-session';
+        this.defaults = { idleMinutes: 10, sessionMinutes: 60 };
+
+        this.uid = null;
+        this.startedAt = 0;
+        this.lastActivityAt = 0;
+        this.timer = null;
+        this.onTick = null;
+        this.onLock = null;
+        this.activityEvents = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+        this.handleActivity = () => {
+            this.lastActivityAt = Date.now();
+        };
+    }
+
+    /**
+     * Get the configured timeouts
+     * @returns {Object} - { idleMinutes, sessionMinutes }
+     */
+    getSettings() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.settingsKey) || '{}');
+            return { ...this.defaults, ...saved };
+        } catch (error) {
+            return { ...this.defaults };
+        }
+    }
+
+    saveSettings(settings) {
+        const idleMinutes = Math.round(Number(settings.idleMinutes));
+        const sessionMinutes = Math.round(Number(settings.sessionMinutes));
+
+        if (!(idleMinutes >= 1) || !(sessionMinutes >= 1)) {
+            throw new Error('Timeouts must be at least one minute');
+        }
+
+        this.storage.setItem(this.settingsKey, JSON.stringify({ idleMinutes, sessionMinutes }));
+    }
+
+    /**
+     * Start timing a signed-in session. A session restored after a reload keeps its original
+     * start time, so reloading does not extend it.
+     * @param {Object} user - Signed-in user
+     * @param {Object} callbacks - { onTick(remainingMs), onLock(reason) }
+     */
+    start(user, { onTick, onLock }) {
+        this.onTick = onTick;
+        this.onLock = onLock;
+
+        if (this.timer && this.uid === user.uid) {
+            return;
+        }
+
+        const saved = this.loadSession();
+        const now = Date.now();
+
+        this.uid = user.uid;
+        this.lastActivityAt = now;
+
+        if (saved && saved.uid === user.uid) {
+            this.startedAt = saved.startedAt;
+        } else {
+            this.startedAt = now;
+            this.storage.setItem(this.sessionKey, JSON.stringify({ uid: user.uid, startedAt: now }));
+        }
+
+        this.activityEvents.forEach(type => {
+            document.addEventListener(type, this.handleActivity, { passive: true, capture: true });
+        });
+
+        this.timer = setInterval(() => this.tick(), 1000);
+        this.tick();
+    }
+
+    /**
+     * Stop timing and forget the session (after sign-out)
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        this.activityEvents.forEach(type => {
+            document.removeEventListener(type, this.handleActivity, { capture: true });
+        });
+
+        this.uid = null;
+        this.storage.removeItem(this.sessionKey);
+    }
+
+    /**
+     * Time left before the session locks, whichever limit comes first
+     * @returns {Object} - { remaining: ms, reason: 'idle'|'expired' }
+     */
+    getRemaining() {
+        const { idleMinutes, sessionMinutes } = this.getSettings();
+        const now = Date.now();
+        const idleRemaining = this.lastActivityAt + idleMinutes * 60000 - now;
+        const sessionRemaining = this.startedAt + sessionMinutes * 60000 - now;
+
+        return idleRemaining < sessionRemaining
+            ? { remaining: Math.max(0, idleRemaining), reason: 'idle' }
+            : { remaining: Math.max(0, sessionRemaining), reason: 'expired' };
+    }
+
+    tick() {
+        const { remaining, reason } = this.getRemaining();
+
+        if (this.onTick) {
+            this.onTick(remaining, reason);
+        }
+
+        if (remaining === 0) {
+            const onLock = this.onLock;
+            this.stop();
+            if (onLock) {
+                onLock(reason);
+            }
+        }
+    }
+
+    loadSession() {
+        try {
+            return JSON.parse(this.storage.getItem(this.sessionKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Format milliseconds as m:ss for the header countdown
+     */
+    static formatRemaining(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+}
+
+// Export SessionLock and create global instance
+window.SessionLock = SessionLock;
+window.sessionLock = new SessionLock();
@@ -0,0 +1,239 @@
+/**
+ * Photo upload queue for Sam Pinkelman World
+ * Processes uploads a few at a time in the background, with per-file progress, cancel and retry.
+ * Waiting files are kept in IndexedDB so an interrupted batch resumes after a reload.
+ */
+
+class UploadQueue {
+    /**
+     * @param {number} concurrency - How many files are encoded and stored at once
+     */
+    constructor(concurrency = 2) {
+        this.concurrency = concurrency;
+        this.items = new Map();
+        this.active = 0;
+        this.running = false;
+        this.processor = null;
+        this.onChange = null;
+        this.onIdle = null;
+        this.finished = [];
+    }
+
+    /**
+     * Load uploads left from an earlier visit and start processing
+     * @param {Function} processor - async (item, onProgress) => result; stores one file as a photo
+     * @param {Object} callbacks - { onChange(items), onIdle(finishedItems) }
+     */
+    async start(processor, { onChange, onIdle }) {
+        this.processor = processor;
+        this.onChange = onChange;
+        this.onIdle = onIdle;
+
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const saved = await db.getAllUploads();
+            saved.forEach(record => {
+                if (!this.items.has(record.id)) {
+                    this.items.set(record.id, this.createItem(record.id, record));
+                }
+            });
+        } catch (error) {
+            console.error('Failed to load upload queue:', error);
+        }
+
+        this.notify();
+        this.pump();
+    }
+
+    /**
+     * Stop starting new uploads (after sign-out). Files in progress finish; waiting files stay
+     * queued in IndexedDB for the next admin session.
+     */
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * Queue files for an album
+     * @param {number} albumId - Album to add the photos to
+     * @param {Array<File>} files - Validated image files
+     */
+    async add(albumId, files) {
+        for (const file of files) {
+            const id = await db.addUpload(albumId, file);
+            this.items.set(id, this.createItem(id, { albumId, file, name: file.name, size: file.size }));
+        }
+
+        this.notify();
+        this.pump();
+    }
+
+    createItem(id, record) {
+        return {
+            id,
+            albumId: record.albumId,
+            file: record.file,
+            name: record.name,
+            size: record.size,
+            // Uploads interrupted mid-way by a reload start over
+            status: record.status === 'failed' ? 'failed' : 'pending',
+            error: record.error || null,
+            progress: 0,
+            stage: '',
+            cancelRequested: false,
+            result: null
+        };
+    }
+
+    getItems() {
+        return Array.from(this.items.values());
+    }
+
+    /**
+     * Cancel an upload. Waiting and failed uploads are dropped straight away; one in progress
+     * stops at its next step, unless the photo has already been saved.
+     */
+    async cancel(id) {
+        const item = this.items.get(id);
+        if (!item || item.status === 'done') return;
+
+        if (item.status === 'processing') {
+            item.cancelRequested = true;
+            item.stage = 'Cancelling';
+            this.notify();
+            return;
+        }
+
+        await this.discard(item);
+    }
+
+    /**
+     * Cancel every upload for an album (when the album is deleted)
+     */
+    async cancelAlbum(albumId) {
+        for (const item of this.getItems()) {
+            if (item.albumId === albumId) {
+                await this.cancel(item.id);
+            }
+        }
+    }
+
+    async retry(id) {
+        const item = this.items.get(id);
+        if (!item || item.status !== 'failed') return;
+
+        item.status = 'pending';
+        item.error = null;
+        item.progress = 0;
+        await db.updateUpload(id, { status: 'pending', error: null });
+
+        this.notify();
+        this.pump();
+    }
+
+    async retryFailed() {
+        for (const item of this.getItems()) {
+            if (item.status === 'failed') {
+                await this.retry(item.id);
+            }
+        }
+    }
+
+    /**
+     * Remove completed uploads from the list
+     */
+    clearFinished() {
+        this.getItems().forEach(item => {
+            if (item.status === 'done') {
+                this.items.delete(item.id);
+            }
+        });
+        this.notify();
+    }
+
+    pump() {
+        while (this.running && this.processor && this.active < this.concurrency) {
+            const next = this.getItems().find(item => item.status === 'pending');
+            if (!next) break;
+            this.process(next);
+        }
+
+        if (this.active === 0 && this.finished.length > 0) {
+            const finished = this.finished;
+            this.finished = [];
+            if (this.onIdle) {
+                this.onIdle(finished);
+            }
+        }
+    }
+
+    async process(item) {
+        this.active++;
+        item.status = 'processing';
+        item.progress = 0;
+        item.stage = 'Starting';
+        this.notify();
+
+        // The processor reports progress between steps; a cancel request takes effect there
+        const onProgress = (progress, stage) => {
+            if (item.cancelRequested) {
+                const error = new Error('Upload cancelled');
+                error.code = 'upload-cancelled';
+                throw error;
+            }
+            item.progress = progress;
+            item.stage = stage;
+            this.notify();
+        };
+
+        try {
+            item.result = await this.processor(item, onProgress);
+            item.status = 'done';
+            item.progress = 1;
+            item.stage = '';
+            item.file = null;
+            this.finished.push(item);
+            await db.removeUpload(item.id).catch(error => {
+                console.error(`Failed to remove upload ${item.id}:`, error);
+            });
+        } catch (error) {
+            if (error.code === 'upload-cancelled') {
+                await this.discard(item);
+            } else {
+                console.error(`Failed to upload ${item.name}:`, error);
+                item.status = 'failed';
+                item.error = error.code === 'permission-denied'
+                    ? 'Not allowed to add photos'
+                    : (error.message || 'Upload failed');
+                item.stage = '';
+                await db.updateUpload(item.id, { status: 'failed', error: item.error }).catch(() => {});
+            }
+        } finally {
+            this.active--;
+            this.notify();
+            this.pump();
+        }
+    }
+
+    async discard(item) {
+        this.items.delete(item.id);
+        try {
+            await db.removeUpload(item.id);
+        } catch (error) {
+            console.error(`Failed to remove upload ${item.id}:`, error);
+        }
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.getItems());
+        }
+    }
+}
+
+// Export UploadQueue and create global instance
+window.UploadQueue = UploadQueue;
+window.uploadQueue = new UploadQueue();
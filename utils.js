@@ -10,14 +10,62 @@ class Utils {
      * @param {File} file - The image file to compress
      * @param {number} maxSizeMB - Maximum file size in MB (default: 2)
      * @param {number} maxDimension - Maximum width/height in pixels (default: 4096)
-     * @returns {Promise<Blob>} - Compressed image blob
+     * @param {number} orientation - EXIF orientation of the original (1-8), applied so the result is upright
+     * @returns {Promise<Blob>} - Compressed image blob in the input format (canvas output carries no EXIF, GPS or other metadata)
      */
-    static async compressImage(file, maxSizeMB = 2, maxDimension = 4096) {
+    static async compressImage(file, maxSizeMB = 2, maxDimension = 4096, orientation = 1) {
+        const result = await Utils.encodeImage(file, { maxSizeMB, maxDimension, orientation, type: file.type });
+        return result.blob;
+    }
+    
+    /**
+     * Resize and encode an image, stepping quality down until it fits the size limit.
+     * Runs in the image worker pool when the browser supports it, otherwise on the main thread.
+     * @param {Blob} file - Image to encode
+     * @param {Object} options - { type, quality (starting quality), maxSizeMB, maxDimension, orientation }
+     * @returns {Promise<Object>} - { blob, type, quality, width, height, originalSize }
+     */
+    static async encodeImage(file, options = {}) {
+        const {
+            type = file.type,
+            quality = 0.9,
+            maxSizeMB = 2,
+            maxDimension = 4096,
+            orientation = 1
+        } = options;
+        
+        // createImageBitmap rotates images the same way <img> does, so hand-applied
+        // orientation (browsers without image-orientation support) stays on the main thread
+        const needsRotation = orientation > 1 && !Utils.appliesImageOrientation();
+        
+        if (!needsRotation && imageWorkerPool.isSupported()) {
+            try {
+                return await imageWorkerPool.run('encode', { file, options: { type, quality, maxSizeMB, maxDimension } });
+            } catch (error) {
+                console.warn('Image worker failed, encoding on the main thread:', error);
+            }
+        }
+        
+        return Utils.encodeImageOnMainThread(file, { type, quality, maxSizeMB, maxDimension, orientation });
+    }
+    
+    /**
+     * Main-thread version of encodeImage, drawing through an <img> and a DOM canvas
+     * @param {Blob} file - Image to encode
+     * @param {Object} options - { type, quality, maxSizeMB, maxDimension, orientation }, all required
+     * @returns {Promise<Object>} - { blob, type, quality, width, height, originalSize }
+     */
+    static encodeImageOnMainThread(file, options) {
+        const { type, quality: startQuality, maxSizeMB, maxDimension, orientation } = options;
+        
         return new Promise((resolve, reject) => {
             // Create image object to get dimensions
             const img = new Image();
             
+            const url = URL.createObjectURL(file);
+            
             img.onload = async () => {
+                URL.revokeObjectURL(url);
                 try {
                     // Calculate new dimensions maintaining aspect ratio
                     let { width, height } = img;
@@ -37,8 +85,22 @@ class Utils {
                     const canvas = document.createElement('canvas');
                     const ctx = canvas.getContext('2d');
                     
-                    canvas.width = width;
-                    canvas.height = height;
+                    // Browsers that already rotate decoded images must not be rotated a second time
+                    const rotate = orientation > 1 && !Utils.appliesImageOrientation();
+                    const swapsSides = rotate && orientation >= 5;
+                    
+                    canvas.width = swapsSides ? height : width;
+                    canvas.height = swapsSides ? width : height;
+                    
+                    // JPEG has no transparency, so give transparent images a white background
+                    if (type === 'image/jpeg') {
+                        ctx.fillStyle = '#ffffff';
+                        ctx.fillRect(0, 0, canvas.width, canvas.height);
+                    }
+                    
+                    if (rotate) {
+                        Utils.applyOrientationTransform(ctx, orientation, width, height);
+                    }
                     
                     // Draw image with high quality
                     ctx.imageSmoothingEnabled = true;
@@ -46,7 +108,7 @@ class Utils {
                     ctx.drawImage(img, 0, 0, width, height);
                     
                     // Start with high quality and reduce until size is acceptable
-                    let quality = 0.9;
+                    let quality = startQuality;
                     const maxBytes = maxSizeMB * 1024 * 1024;
                     
                     const tryCompress = () => {
@@ -57,12 +119,19 @@ class Utils {
                             }
                             
                             if (blob.size <= maxBytes || quality <= 0.1) {
-                                resolve(blob);
+                                resolve({
+                                    blob,
+                                    type: blob.type,
+                                    quality: Math.round(quality * 100) / 100,
+                                    width: canvas.width,
+                                    height: canvas.height,
+                                    originalSize: file.size
+                                });
                             } else {
                                 quality -= 0.1;
                                 tryCompress();
                             }
-                        }, file.type, quality);
+                        }, type, quality);
                     };
                     
                     tryCompress();
@@ -72,20 +141,160 @@ class Utils {
                 }
             };
             
-            img.onerror = () => reject(new Error('Failed to load image'));
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to load image'));
+            };
             
-            // Create object URL from file
-            img.src = URL.createObjectURL(file);
+            img.src = url;
         });
     }
     
+    /**
+     * Find which modern formats this browser's canvas can encode
+     * @returns {Promise<Array<string>>} - Encodable types, most efficient first; always ends with JPEG
+     */
+    static getEncodableImageTypes() {
+        if (!Utils._encodableImageTypes) {
+            // Unsupported types make toBlob fall back to PNG, so check what actually came back
+            const probe = (type) => new Promise((resolve) => {
+                const canvas = document.createElement('canvas');
+                canvas.width = 1;
+                canvas.height = 1;
+                canvas.toBlob(blob => resolve(blob && blob.type === type ? type : null), type);
+            });
+            
+            Utils._encodableImageTypes = Promise.all(['image/avif', 'image/webp'].map(probe))
+                .then(types => [...types.filter(Boolean), 'image/jpeg']);
+        }
+        return Utils._encodableImageTypes;
+    }
+    
+    /**
+     * Get the saved image encoding settings
+     * @returns {Object} - { format: 'auto'|'image/avif'|'image/webp'|'image/jpeg'|'original', quality, maxSizeMB }
+     */
+    static getImageEncodingSettings() {
+        const defaults = { format: 'auto', quality: 0.85, maxSizeMB: 2 };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem('image-encoding-settings') || '{}') };
+        } catch (error) {
+            return defaults;
+        }
+    }
+    
+    static saveImageEncodingSettings(settings) {
+        const quality = Number(settings.quality);
+        const maxSizeMB = Number(settings.maxSizeMB);
+        
+        if (!(quality >= 0.1 && quality <= 1) || !(maxSizeMB > 0)) {
+            throw new Error('Quality must be between 0.1 and 1, and the size limit above 0');
+        }
+        
+        localStorage.setItem('image-encoding-settings', JSON.stringify({ format: settings.format, quality, maxSizeMB }));
+    }
+    
+    /**
+     * Work out the output type for an upload from the encoding settings
+     * @param {string} format - Setting value ('auto' picks AVIF, then WebP, then JPEG)
+     * @param {string} inputType - Type of the file being encoded, used for 'original'
+     * @returns {Promise<string>} - MIME type to encode to
+     */
+    static async resolveImageOutputType(format, inputType) {
+        if (format === 'original') return inputType;
+        
+        const supported = await Utils.getEncodableImageTypes();
+        if (format === 'auto') return supported[0];
+        return supported.includes(format) ? format : 'image/jpeg';
+    }
+    
+    /**
+     * Get the pixel dimensions of an image
+     * @param {Blob} blob - Image blob
+     * @returns {Promise<Object>} - { width, height }
+     */
+    static getImageDimensions(blob) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(blob);
+            
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve({ width: img.naturalWidth, height: img.naturalHeight });
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to load image'));
+            };
+            
+            img.src = url;
+        });
+    }
+    
+    /**
+     * Create smaller copies of an image for grids and previews
+     * @param {Blob} blob - Full-size image
+     * @param {Object} sizes - Map of name to { maxDimension, maxSizeMB }
+     * @returns {Promise<Object>} - Map of name to blob; sizes the image already fits within are skipped
+     */
+    static async createImageRenditions(blob, sizes) {
+        // Workers decode the image once for every size
+        if (imageWorkerPool.isSupported()) {
+            try {
+                return await imageWorkerPool.run('renditions', { file: blob, sizes });
+            } catch (error) {
+                console.warn('Image worker failed, creating renditions on the main thread:', error);
+            }
+        }
+        
+        const { width, height } = await Utils.getImageDimensions(blob);
+        const longestSide = Math.max(width, height);
+        const renditions = {};
+        
+        for (const [name, { maxDimension, maxSizeMB }] of Object.entries(sizes)) {
+            if (longestSide > maxDimension) {
+                renditions[name] = await Utils.compressImage(blob, maxSizeMB, maxDimension);
+            }
+        }
+        
+        return renditions;
+    }
+    
+    /**
+     * Check whether the browser applies EXIF orientation when decoding images (all current browsers do)
+     * @returns {boolean} - True if images are drawn to canvas already upright
+     */
+    static appliesImageOrientation() {
+        return typeof CSS !== 'undefined' && typeof CSS.supports === 'function' &&
+            CSS.supports('image-orientation', 'from-image');
+    }
+    
+    /**
+     * Set a canvas transform that draws an image with the given EXIF orientation upright
+     * @param {CanvasRenderingContext2D} ctx - Context of a canvas already sized to the upright image
+     * @param {number} orientation - EXIF orientation (2-8)
+     * @param {number} width - Width the unrotated image is drawn at
+     * @param {number} height - Height the unrotated image is drawn at
+     */
+    static applyOrientationTransform(ctx, orientation, width, height) {
+        switch (orientation) {
+            case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+            case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+            case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+            case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+            case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+            case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+            case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+        }
+    }
+    
     /**
      * Validate if a file is a valid image
      * @param {File} file - File to validate
      * @returns {boolean} - True if valid image
      */
     static isValidImage(file) {
-        const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+        const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/avif'];
         return validTypes.includes(file.type.toLowerCase());
     }
     
@@ -98,6 +307,156 @@ class Utils {
         return file.type === 'application/pdf';
     }
     
+    /**
+     * Load pdf.js on first use
+     * @returns {Promise<Object>} - The pdfjsLib module
+     */
+    static loadPdfJs() {
+        if (!Utils._pdfJs) {
+            const base = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.10.38/build';
+            Utils._pdfJs = import(`${base}/pdf.min.mjs`)
+                .then(pdfjsLib => {
+                    pdfjsLib.GlobalWorkerOptions.workerSrc = `${base}/pdf.worker.min.mjs`;
+                    return pdfjsLib;
+                })
+                .catch(error => {
+                    // Allow another attempt later, e.g. once back online
+                    Utils._pdfJs = null;
+                    throw error;
+                });
+        }
+        return Utils._pdfJs;
+    }
+    
+    /**
+     * Extract the text of a PDF, one line per line of the page
+     * @param {Blob} blob - PDF file
+     * @returns {Promise<Object>} - { text, pageCount }; text is '' for scanned PDFs without a text layer
+     */
+    static async extractPdfText(blob) {
+        const pdfjsLib = await Utils.loadPdfJs();
+        const pdf = await pdfjsLib.getDocument({ data: await blob.arrayBuffer() }).promise;
+        
+        try {
+            const pages = [];
+            for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                const page = await pdf.getPage(pageNumber);
+                const content = await page.getTextContent();
+                pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join(''));
+            }
+            
+            // A blank line between pages ends any paragraph in progress
+            const text = pages.join('\n\n')
+                .replace(/[ \t]+/g, ' ')
+                .replace(/ ?\n ?/g, '\n')
+                .trim();
+            return { text, pageCount: pdf.numPages };
+        } finally {
+            pdf.destroy();
+        }
+    }
+    
+    /**
+     * Draw the first page of a PDF as a cover image
+     * @param {Blob} blob - PDF file
+     * @param {number} width - Cover width in pixels
+     * @returns {Promise<Blob>} - Image in the most efficient format this browser can encode
+     */
+    static async renderPdfCover(blob, width = 480) {
+        const pdfjsLib = await Utils.loadPdfJs();
+        const pdf = await pdfjsLib.getDocument({ data: await blob.arrayBuffer() }).promise;
+        
+        try {
+            const page = await pdf.getPage(1);
+            const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(viewport.width);
+            canvas.height = Math.round(viewport.height);
+            
+            // Pages are transparent where nothing is drawn, which JPEG would turn black
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: ctx, viewport }).promise;
+            
+            const [type] = await Utils.getEncodableImageTypes();
+            return await new Promise((resolve, reject) => {
+                canvas.toBlob(cover => cover ? resolve(cover) : reject(new Error('Failed to encode cover')), type, 0.85);
+            });
+        } finally {
+            pdf.destroy();
+        }
+    }
+    
+    /**
+     * Read everything the app keeps about an essay's PDF
+     * @param {Blob} blob - PDF file
+     * @returns {Promise<Object>} - { text, pageCount, wordCount, readingMinutes, excerpt }
+     */
+    static async readEssayContent(blob) {
+        const { text, pageCount } = await Utils.extractPdfText(blob);
+        return { text, pageCount, ...Utils.getTextStats(text) };
+    }
+    
+    /**
+     * Count words and estimate reading time at 230 words a minute
+     * @param {string} text - Plain text with line breaks
+     * @returns {Object} - { wordCount, readingMinutes, excerpt }
+     */
+    static getTextStats(text) {
+        const words = text
+            .replace(/(\p{L})-\n(\p{Ll})/gu, '$1$2')
+            .match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+        return {
+            wordCount: words.length,
+            readingMinutes: words.length > 0 ? Math.max(1, Math.round(words.length / 230)) : 0,
+            excerpt: Utils.getFirstParagraph(text)
+        };
+    }
+    
+    /**
+     * Find the first paragraph of running text, skipping titles, bylines and headings
+     * @param {string} text - Plain text, one line per line of the page
+     * @param {number} maxLength - Longer paragraphs are cut at a word and end with '…'
+     * @returns {string} - The paragraph, or '' if the text has none
+     */
+    static getFirstParagraph(text, maxLength = 300) {
+        const lines = text.split('\n').map(line => line.trim());
+        const lineLength = Math.max(0, ...lines.map(line => line.length));
+        const countWords = parts => parts.join(' ').split(' ').filter(Boolean).length;
+        let paragraph = [];
+        let found = null;
+        
+        for (const line of lines) {
+            // Body text fills the line; a short line ends a paragraph or is a heading on its own
+            const isShort = line.length < lineLength * 0.75;
+            const endsSentence = /[.!?…]["'”’)]*$/.test(line);
+            
+            if (line && !(isShort && !endsSentence && paragraph.length === 0)) {
+                paragraph.push(line);
+            }
+            
+            if (!line || isShort) {
+                if (countWords(paragraph) >= 15) {
+                    found = paragraph;
+                    break;
+                }
+                paragraph = [];
+            }
+        }
+        
+        if (!found) {
+            found = countWords(paragraph) >= 15 ? paragraph : [];
+        }
+        
+        // Rejoin words hyphenated across lines
+        const joined = found.join(' ').replace(/(\p{L})- (\p{Ll})/gu, '$1$2');
+        if (joined.length <= maxLength) return joined;
+        
+        const cut = joined.slice(0, maxLength);
+        return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength).replace(/[\s,;:.-]+$/, '')}…`;
+    }
+    
     /**
      * Format file size for display
      * @param {number} bytes - File size in bytes
@@ -111,6 +470,18 @@ class Utils {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
     }
     
+    /**
+     * Format a date for display
+     * @param {string} value - ISO date (YYYY-MM-DD dates are read as local, not UTC)
+     * @returns {string} - Formatted date, or the input if it cannot be parsed
+     */
+    static formatDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+        if (isNaN(date.getTime())) return value;
+        return date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+    
     /**
      * Create a blob URL and track it for cleanup
      * @param {Blob} blob - Blob to create URL for
@@ -196,6 +567,7 @@ class Utils {
                 modal.classList.remove('show');
                 yesBtn.onclick = null;
                 noBtn.onclick = null;
+                Utils.onModalHidden('confirm-modal', null);
             };
             
             yesBtn.onclick = () => {
@@ -208,7 +580,61 @@ class Utils {
                 resolve(false);
             };
             
+            // Escape or a click outside the dialog counts as No
+            Utils.onModalHidden('confirm-modal', () => {
+                cleanup();
+                resolve(false);
+            });
+            
+            modal.classList.add('show');
+        });
+    }
+    
+    /**
+     * Ask for the current password
+     * @param {string} message - Why the password is needed
+     * @param {string} title - Dialog title (optional)
+     * @returns {Promise<string|null>} - Entered password, or null if cancelled
+     */
+    static showPasswordPrompt(message, title = "Confirm It's You") {
+        return new Promise((resolve) => {
+            const modal = document.getElementById('reauth-modal');
+            const form = document.getElementById('reauth-form');
+            const input = document.getElementById('reauth-password');
+            const cancelBtn = document.getElementById('reauth-cancel');
+            
+            document.getElementById('reauth-title').textContent = title;
+            document.getElementById('reauth-message').textContent = message;
+            input.value = '';
+            
+            const cleanup = () => {
+                modal.classList.remove('show');
+                input.value = '';
+                form.onsubmit = null;
+                cancelBtn.onclick = null;
+                Utils.onModalHidden('reauth-modal', null);
+            };
+            
+            form.onsubmit = (e) => {
+                e.preventDefault();
+                const password = input.value;
+                cleanup();
+                resolve(password);
+            };
+            
+            cancelBtn.onclick = () => {
+                cleanup();
+                resolve(null);
+            };
+            
+            // Escape or a click outside the dialog cancels
+            Utils.onModalHidden('reauth-modal', () => {
+                cleanup();
+                resolve(null);
+            });
+            
             modal.classList.add('show');
+            input.focus();
         });
     }
     
@@ -241,6 +667,30 @@ class Utils {
         if (modal) {
             modal.classList.remove('show');
         }
+        
+        const callback = Utils._modalHiddenCallbacks && Utils._modalHiddenCallbacks.get(modalId);
+        if (callback) {
+            Utils._modalHiddenCallbacks.delete(modalId);
+            callback();
+        }
+    }
+    
+    /**
+     * Run a callback the next time hideModal hides a modal (Escape, a click outside it or its
+     * close button), so a dialog waiting for an answer can settle
+     * @param {string} modalId - ID of the modal
+     * @param {Function|null} callback - Called once; null removes the callback
+     */
+    static onModalHidden(modalId, callback) {
+        if (!Utils._modalHiddenCallbacks) {
+            Utils._modalHiddenCallbacks = new Map();
+        }
+        
+        if (callback) {
+            Utils._modalHiddenCallbacks.set(modalId, callback);
+        } else {
+            Utils._modalHiddenCallbacks.delete(modalId);
+        }
     }
     
     /**
@@ -301,6 +751,15 @@ class Utils {
             type: mimeType
         });
         
+        Utils.downloadBlob(blob, filename);
+    }
+    
+    /**
+     * Download a blob as a file
+     * @param {Blob} blob - Blob to download
+     * @param {string} filename - Name of the file
+     */
+    static downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -308,7 +767,37 @@ class Utils {
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        
+        // Revoke on the next tick so the download has started
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    /**
+     * Turn a title into a file name that is safe on every operating system
+     * @param {string} name - Title to clean up
+     * @param {string} fallback - Name to use when nothing is left
+     * @returns {string} - File name without extension
+     */
+    static toSafeFilename(name, fallback = 'file') {
+        const safe = String(name || '').replace(/[\\/:*?"<>|\x00-\x1f]+/g, '-').replace(/^[\s.]+|[\s.]+$/g, '').slice(0, 100);
+        return safe || fallback;
+    }
+    
+    /**
+     * Ask the user where to save a file and open a writable stream to it
+     * @param {string} filename - Suggested file name
+     * @param {string} description - File type description shown in the picker
+     * @param {Object} accept - Accepted types, e.g. { 'application/zip': ['.zip'] }
+     * @returns {Promise<Object|null>} - Writable stream, or null if the browser has no file picker
+     */
+    static async openSaveStream(filename, description, accept) {
+        if (!window.showSaveFilePicker) return null;
+        
+        const handle = await window.showSaveFilePicker({
+            suggestedName: filename,
+            types: [{ description, accept }]
+        });
+        return handle.createWritable();
     }
     
     /**
@@ -326,8 +815,7 @@ class Utils {
     }
     
     /**
-     * Hash a string using SHA-256 (for client-side password hashing)
-     * Note: This is NOT secure - it's just to avoid storing plain text
+     * Hash a string using SHA-256
      * @param {string} text - Text to hash
      * @returns {Promise<string>} - Hex hash string
      */
@@ -342,46 +830,110 @@ class Utils {
     /**
      * Set up drag and drop functionality
      * @param {HTMLElement} container - Container element
-     * @param {Function} onFilesDropped - Callback when files are dropped
+     * @param {Function} onFilesDropped - Callback with (files, folders) when files are dropped. With
+     *                                    includeFolders, dropped directories arrive as folders
+     *                                    ([{ name, files }]); otherwise their files are added to files
      * @param {Array<string>} acceptedTypes - Array of accepted MIME types
+     * @param {Object} options - { includeFolders, isEnabled() (ignore drags when false), onRejected(files) }
+     * @returns {Function} - Cleanup function
      */
-    static setupDragAndDrop(container, onFilesDropped, acceptedTypes = ['image/*']) {
+    static setupDragAndDrop(container, onFilesDropped, acceptedTypes = ['image/*'], options = {}) {
+        const { includeFolders = false, isEnabled = () => true, onRejected = null } = options;
         let dragCounter = 0;
         
+        const isAccepted = (type) => acceptedTypes.some(accepted => {
+            if (accepted.endsWith('/*')) {
+                return type.startsWith(accepted.replace('/*', '/'));
+            }
+            return type === accepted;
+        });
+        
+        // Only files dragged in from outside count - reordering drags and text selections carry none
+        const isFileDrag = (e) => isEnabled() && Array.from(e.dataTransfer.types).includes('Files');
+        
+        // Types are visible mid-drag; folders report none, so they get the benefit of the doubt
+        const canAccept = (e) => Array.from(e.dataTransfer.items || []).some(item => {
+            return item.kind === 'file' && (!item.type || isAccepted(item.type));
+        });
+        
+        const reset = () => {
+            dragCounter = 0;
+            container.classList.remove('drag-over', 'drag-reject');
+        };
+        
         const handleDragEnter = (e) => {
+            if (!isFileDrag(e)) return;
             e.preventDefault();
             dragCounter++;
             container.classList.add('drag-over');
+            container.classList.toggle('drag-reject', !canAccept(e));
         };
         
         const handleDragLeave = (e) => {
+            if (!isFileDrag(e)) return;
             e.preventDefault();
             dragCounter--;
-            if (dragCounter === 0) {
-                container.classList.remove('drag-over');
+            if (dragCounter <= 0) {
+                reset();
             }
         };
         
         const handleDragOver = (e) => {
+            if (!isFileDrag(e)) return;
             e.preventDefault();
+            e.dataTransfer.dropEffect = container.classList.contains('drag-reject') ? 'none' : 'copy';
         };
         
-        const handleDrop = (e) => {
+        const handleDrop = async (e) => {
+            if (!isFileDrag(e)) return;
             e.preventDefault();
-            dragCounter = 0;
-            container.classList.remove('drag-over');
+            reset();
             
-            const files = Array.from(e.dataTransfer.files).filter(file => {
-                return acceptedTypes.some(type => {
-                    if (type.endsWith('/*')) {
-                        return file.type.startsWith(type.replace('/*', '/'));
-                    }
-                    return file.type === type;
-                });
-            });
+            // The drop data is cleared once this handler yields, so grab entries before awaiting
+            const entries = Array.from(e.dataTransfer.items || [], item => {
+                return item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
+            }).filter(Boolean);
+            const droppedFiles = Array.from(e.dataTransfer.files);
             
-            if (files.length > 0) {
-                onFilesDropped(files);
+            try {
+                const files = [];
+                const folders = [];
+                
+                if (entries.length === 0) {
+                    files.push(...droppedFiles);
+                }
+                
+                for (const entry of entries) {
+                    if (entry.isDirectory) {
+                        const folderFiles = await Utils.readDirectoryEntry(entry);
+                        if (includeFolders) {
+                            folders.push({ name: entry.name, files: folderFiles });
+                        } else {
+                            files.push(...folderFiles);
+                        }
+                    } else {
+                        files.push(await Utils.readFileEntry(entry));
+                    }
+                }
+                
+                const allFiles = [...files, ...folders.flatMap(folder => folder.files)];
+                const rejected = allFiles.filter(file => !isAccepted(file.type));
+                const accepted = files.filter(file => isAccepted(file.type));
+                const acceptedFolders = folders.map(folder => ({
+                    name: folder.name,
+                    files: folder.files.filter(file => isAccepted(file.type))
+                }));
+                
+                if (rejected.length > 0 && onRejected) {
+                    onRejected(rejected);
+                }
+                
+                if (accepted.length > 0 || acceptedFolders.length > 0) {
+                    onFilesDropped(accepted, acceptedFolders);
+                }
+            } catch (error) {
+                console.error('Failed to read dropped files:', error);
+                Utils.showToast('Failed to read dropped files', 'error');
             }
         };
         
@@ -399,108 +951,324 @@ class Utils {
         };
     }
     
+    static readFileEntry(entry) {
+        return new Promise((resolve, reject) => entry.file(resolve, reject));
+    }
+    
+    /**
+     * Read every file in a dropped directory, including subdirectories
+     * @param {FileSystemDirectoryEntry} directory - Entry from DataTransferItem.webkitGetAsEntry()
+     * @returns {Promise<Array<File>>} - Files sorted by path, so numbered camera files keep their order
+     */
+    static async readDirectoryEntry(directory) {
+        const reader = directory.createReader();
+        const entries = [];
+        
+        // readEntries returns a batch at a time until it comes back empty
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (batch.length === 0) break;
+            entries.push(...batch);
+        }
+        
+        entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        
+        const files = [];
+        for (const entry of entries) {
+            // Skip hidden files such as .DS_Store
+            if (entry.name.startsWith('.')) continue;
+            
+            if (entry.isDirectory) {
+                files.push(...await Utils.readDirectoryEntry(entry));
+            } else {
+                files.push(await Utils.readFileEntry(entry));
+            }
+        }
+        
+        return files;
+    }
+    
     /**
-     * Set up sortable functionality for reordering items
+     * Set up sortable functionality for reordering items. Items move by dragging their handle with a
+     * mouse, finger or pen, or from the keyboard: Space or Enter on the handle picks the item up,
+     * arrow keys move it, Space or Enter drops it and Escape puts it back.
      * @param {HTMLElement} container - Container element
-     * @param {Function} onReorder - Callback when items are reordered
+     * @param {Function} onReorder - Callback with the item ids (data-id) in their new order
      * @param {string} itemSelector - CSS selector for draggable items
+     * @param {Object} options - { handleSelector, isEnabled() (ignore drags when false) }
+     * @returns {Function} - Cleanup function
      */
-    static setupSortable(container, onReorder, itemSelector = '.sortable-item') {
-        let draggedElement = null;
-        let placeholder = null;
+    static setupSortable(container, onReorder, itemSelector = '.sortable-item', options = {}) {
+        const { handleSelector = '.sort-handle', isEnabled = () => true } = options;
         
-        const handleMouseDown = (e) => {
-            const item = e.target.closest(itemSelector);
-            if (!item) return;
-            
-            draggedElement = item;
+        // Pointer drag state
+        let drag = null;
+        // Keyboard state: the item picked up and where it started
+        let grabbed = null;
+        
+        const getItems = () => Array.from(container.querySelectorAll(itemSelector));
+        const getOrder = () => getItems().map(item => item.dataset.id).filter(Boolean);
+        const getLabel = (item) => item.dataset.label || 'Item';
+        const describePosition = (item) => `position ${getItems().indexOf(item) + 1} of ${getItems().length}`;
+        
+        const finish = (item, startOrder) => {
+            const newOrder = getOrder();
+            if (newOrder.join() !== startOrder.join()) {
+                onReorder(newOrder);
+            }
+            Utils.announce(`${getLabel(item)} dropped at ${describePosition(item)}`);
+        };
+        
+        const handlePointerDown = (e) => {
+            const handle = e.target.closest(handleSelector);
+            const item = handle && handle.closest(itemSelector);
+            if (!item || !container.contains(item) || !isEnabled() || e.button > 0 || grabbed) return;
             
-            // Create placeholder
-            placeholder = document.createElement('div');
-            placeholder.className = 'sort-placeholder';
-            placeholder.style.height = item.offsetHeight + 'px';
+            e.preventDefault();
+            e.stopPropagation();
+            handle.setPointerCapture(e.pointerId);
             
-            // Set draggable
-            item.draggable = true;
-            item.classList.add('dragging');
+            drag = {
+                item,
+                handle,
+                pointerId: e.pointerId,
+                startX: e.clientX,
+                startY: e.clientY,
+                startOrder: getOrder(),
+                placeholder: null,
+                scrollParent: Utils.getScrollParent(container)
+            };
         };
         
-        const handleDragStart = (e) => {
-            if (!draggedElement) return;
-            e.dataTransfer.effectAllowed = 'move';
+        const startDragging = () => {
+            const { item } = drag;
+            const rect = item.getBoundingClientRect();
+            
+            // The placeholder holds the item's place in the layout while the item follows the pointer
+            drag.placeholder = document.createElement('div');
+            drag.placeholder.className = 'sort-placeholder';
+            drag.placeholder.style.width = `${rect.width}px`;
+            drag.placeholder.style.height = `${rect.height}px`;
+            item.parentNode.insertBefore(drag.placeholder, item);
+            
+            drag.offsetX = drag.startX - rect.left;
+            drag.offsetY = drag.startY - rect.top;
+            item.classList.add('dragging');
+            item.style.width = `${rect.width}px`;
+            item.style.height = `${rect.height}px`;
+            item.style.left = `${rect.left}px`;
+            item.style.top = `${rect.top}px`;
+            
+            // Inside a modal, position: fixed is relative to the modal rather than the viewport
+            const placed = item.getBoundingClientRect();
+            drag.offsetX += placed.left - rect.left;
+            drag.offsetY += placed.top - rect.top;
         };
         
-        const handleDragOver = (e) => {
-            e.preventDefault();
-            if (!draggedElement || !placeholder) return;
+        const handlePointerMove = (e) => {
+            if (!drag || e.pointerId !== drag.pointerId) return;
             
-            const afterElement = getDragAfterElement(container, e.clientY);
+            // A few pixels of movement before dragging, so taps on the handle still register
+            if (!drag.placeholder) {
+                if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < 5) return;
+                startDragging();
+            }
             
-            if (afterElement == null) {
-                container.appendChild(placeholder);
-            } else {
-                container.insertBefore(placeholder, afterElement);
+            const { item, placeholder } = drag;
+            item.style.left = `${e.clientX - drag.offsetX}px`;
+            item.style.top = `${e.clientY - drag.offsetY}px`;
+            
+            // Move the placeholder past whichever item is under the pointer; works for grids and lists
+            const target = document.elementFromPoint(e.clientX, e.clientY);
+            const over = target && target.closest(itemSelector);
+            if (over && over !== item && container.contains(over)) {
+                const siblings = Array.from(container.children);
+                const placeholderFirst = siblings.indexOf(placeholder) < siblings.indexOf(over);
+                container.insertBefore(placeholder, placeholderFirst ? over.nextSibling : over);
             }
+            
+            Utils.scrollNearEdge(drag.scrollParent, e.clientY);
         };
         
-        const handleDrop = (e) => {
-            e.preventDefault();
-            if (!draggedElement || !placeholder) return;
+        const endDrag = (e, cancelled) => {
+            if (!drag || e.pointerId !== drag.pointerId) return;
             
-            // Replace placeholder with dragged element
-            container.insertBefore(draggedElement, placeholder);
-            cleanup();
+            const { item, placeholder, startOrder } = drag;
+            drag = null;
+            if (!placeholder) return;
             
-            // Get new order
-            const items = Array.from(container.querySelectorAll(itemSelector));
-            const newOrder = items.map(item => item.dataset.id).filter(Boolean);
-            onReorder(newOrder);
-        };
-        
-        const cleanup = () => {
-            if (draggedElement) {
-                draggedElement.draggable = false;
-                draggedElement.classList.remove('dragging');
-                draggedElement = null;
+            item.classList.remove('dragging');
+            item.style.width = item.style.height = item.style.left = item.style.top = '';
+            
+            if (cancelled) {
+                placeholder.remove();
+                Utils.restoreOrder(container, itemSelector, startOrder);
+                return;
             }
             
-            if (placeholder && placeholder.parentNode) {
-                placeholder.parentNode.removeChild(placeholder);
-                placeholder = null;
+            container.insertBefore(item, placeholder);
+            placeholder.remove();
+            finish(item, startOrder);
+        };
+        
+        // Handles only reorder; a tap or the click that ends a drag must not open the item
+        const handleClick = (e) => {
+            if (e.target.closest(handleSelector)) {
+                e.stopPropagation();
+                e.preventDefault();
             }
         };
         
-        const getDragAfterElement = (container, y) => {
-            const draggableElements = [...container.querySelectorAll(`${itemSelector}:not(.dragging)`)];
+        const handleKeyDown = (e) => {
+            const handle = e.target.closest(handleSelector);
+            const item = handle && handle.closest(itemSelector);
+            if (!item || !container.contains(item) || !isEnabled()) return;
             
-            return draggableElements.reduce((closest, child) => {
-                const box = child.getBoundingClientRect();
-                const offset = y - box.top - box.height / 2;
-                
-                if (offset < 0 && offset > closest.offset) {
-                    return { offset: offset, element: child };
-                } else {
-                    return closest;
+            const items = getItems();
+            const index = items.indexOf(item);
+            
+            if (!grabbed) {
+                if (e.key === ' ' || e.key === 'Enter') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    grabbed = { item, startOrder: getOrder() };
+                    item.classList.add('grabbed');
+                    Utils.announce(`${getLabel(item)} picked up at ${describePosition(item)}. ` +
+                        'Use the arrow keys to move it, Space to drop it or Escape to cancel.');
+                }
+                return;
+            }
+            
+            if (grabbed.item !== item) return;
+            e.preventDefault();
+            e.stopPropagation();
+            
+            let newIndex = index;
+            switch (e.key) {
+                case 'ArrowUp':
+                case 'ArrowLeft':
+                    newIndex = Math.max(0, index - 1);
+                    break;
+                case 'ArrowDown':
+                case 'ArrowRight':
+                    newIndex = Math.min(items.length - 1, index + 1);
+                    break;
+                case 'Home':
+                    newIndex = 0;
+                    break;
+                case 'End':
+                    newIndex = items.length - 1;
+                    break;
+                case ' ':
+                case 'Enter': {
+                    const { startOrder } = grabbed;
+                    item.classList.remove('grabbed');
+                    grabbed = null;
+                    finish(item, startOrder);
+                    return;
                 }
-            }, { offset: Number.NEGATIVE_INFINITY }).element;
+                case 'Escape':
+                    item.classList.remove('grabbed');
+                    Utils.restoreOrder(container, itemSelector, grabbed.startOrder);
+                    grabbed = null;
+                    handle.focus();
+                    Utils.announce(`Reorder cancelled. ${getLabel(item)} is back at ${describePosition(item)}`);
+                    return;
+                default:
+                    return;
+            }
+            
+            if (newIndex !== index) {
+                const reference = newIndex > index ? items[newIndex].nextSibling : items[newIndex];
+                container.insertBefore(item, reference);
+                // Moving the element drops focus, so put it back on the handle
+                handle.focus();
+                item.scrollIntoView({ block: 'nearest' });
+            }
+            Utils.announce(`${getLabel(item)} moved to ${describePosition(item)}`);
         };
         
-        container.addEventListener('mousedown', handleMouseDown);
-        container.addEventListener('dragstart', handleDragStart);
-        container.addEventListener('dragover', handleDragOver);
-        container.addEventListener('drop', handleDrop);
-        container.addEventListener('dragend', cleanup);
+        const handlePointerUp = (e) => endDrag(e, false);
+        const handlePointerCancel = (e) => endDrag(e, true);
+        
+        container.addEventListener('pointerdown', handlePointerDown);
+        container.addEventListener('pointermove', handlePointerMove);
+        container.addEventListener('pointerup', handlePointerUp);
+        container.addEventListener('pointercancel', handlePointerCancel);
+        container.addEventListener('keydown', handleKeyDown);
+        container.addEventListener('click', handleClick, true);
         
         // Return cleanup function
         return () => {
-            container.removeEventListener('mousedown', handleMouseDown);
-            container.removeEventListener('dragstart', handleDragStart);
-            container.removeEventListener('dragover', handleDragOver);
-            container.removeEventListener('drop', handleDrop);
-            container.removeEventListener('dragend', cleanup);
+            container.removeEventListener('pointerdown', handlePointerDown);
+            container.removeEventListener('pointermove', handlePointerMove);
+            container.removeEventListener('pointerup', handlePointerUp);
+            container.removeEventListener('pointercancel', handlePointerCancel);
+            container.removeEventListener('keydown', handleKeyDown);
+            container.removeEventListener('click', handleClick, true);
         };
     }
     
+    /**
+     * Put a container's items back in a given order (after a cancelled reorder)
+     */
+    static restoreOrder(container, itemSelector, idsInOrder) {
+        const items = Array.from(container.querySelectorAll(itemSelector));
+        idsInOrder.forEach(id => {
+            const item = items.find(candidate => candidate.dataset.id === id);
+            if (item) {
+                container.appendChild(item);
+            }
+        });
+    }
+    
+    /**
+     * Find the nearest ancestor that scrolls vertically
+     * @param {HTMLElement} element - Starting element
+     * @returns {HTMLElement} - Scrolling ancestor, or the document's scrolling element
+     */
+    static getScrollParent(element) {
+        for (let node = element.parentElement; node; node = node.parentElement) {
+            const { overflowY } = getComputedStyle(node);
+            if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) {
+                return node;
+            }
+        }
+        return document.scrollingElement || document.documentElement;
+    }
+    
+    /**
+     * Scroll while a dragged item is held near the top or bottom edge of its scroll area
+     */
+    static scrollNearEdge(scrollParent, clientY) {
+        const isPage = scrollParent === document.scrollingElement || scrollParent === document.documentElement;
+        const top = isPage ? 0 : scrollParent.getBoundingClientRect().top;
+        const bottom = isPage ? window.innerHeight : scrollParent.getBoundingClientRect().bottom;
+        const edge = 60;
+        
+        if (clientY < top + edge) {
+            scrollParent.scrollTop -= 15;
+        } else if (clientY > bottom - edge) {
+            scrollParent.scrollTop += 15;
+        }
+    }
+    
+    /**
+     * Read a message to screen reader users through a shared live region
+     * @param {string} message - Text to announce
+     */
+    static announce(message) {
+        let region = document.getElementById('live-announcer');
+        if (!region) {
+            region = document.createElement('div');
+            region.id = 'live-announcer';
+            region.className = 'visually-hidden';
+            region.setAttribute('aria-live', 'assertive');
+            document.body.appendChild(region);
+        }
+        region.textContent = message;
+    }
+    
     /**
      * Set up keyboard navigation for accessibility
      * @param {HTMLElement} container - Container element
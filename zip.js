@@ -0,0 +1,278 @@
+/**
+ * Minimal ZIP archive support for Sam Pinkelman World backups
+ * Writes uncompressed (stored) entries incrementally and reads stored or deflated entries
+ */
+
+class Zip {
+    /**
+     * Check whether a blob starts with the ZIP local file header signature
+     * @param {Blob} blob - Blob to inspect
+     * @returns {Promise<boolean>} - True if the blob looks like a ZIP archive
+     */
+    static async isZip(blob) {
+        if (!blob || blob.size < 4) return false;
+        const bytes = new Uint8Array(await blob.slice(0, 4).arrayBuffer());
+        return bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+    }
+
+    /**
+     * Compute the CRC-32 of a blob, streaming it in chunks
+     * @param {Blob} blob - Blob to checksum
+     * @returns {Promise<number>} - Unsigned CRC-32
+     */
+    static async crc32(blob) {
+        const table = Zip.getCrcTable();
+        let crc = 0xFFFFFFFF;
+        const reader = blob.stream().getReader();
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            for (let i = 0; i < value.length; i++) {
+                crc = table[(crc ^ value[i]) & 0xFF] ^ (crc >>> 8);
+            }
+        }
+
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static getCrcTable() {
+        if (!Zip._crcTable) {
+            Zip._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                Zip._crcTable[n] = c >>> 0;
+            }
+        }
+        return Zip._crcTable;
+    }
+
+    static toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+}
+
+class ZipWriter {
+    /**
+     * @param {Object} writable - Optional stream with async write()/close() (e.g. FileSystemWritableFileStream).
+     *                            Without one, parts are collected into a Blob returned by finish().
+     */
+    constructor(writable = null) {
+        this.writable = writable;
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        this.encoder = new TextEncoder();
+    }
+
+    async write(part) {
+        if (this.writable) {
+            await this.writable.write(part);
+        } else {
+            this.parts.push(part);
+        }
+        this.offset += part.size !== undefined ? part.size : part.byteLength;
+    }
+
+    /**
+     * Add a file entry. The blob is referenced, not copied, when collecting into a Blob.
+     * @param {string} name - Path inside the archive
+     * @param {Blob} blob - File contents
+     * @param {Date} modifiedAt - Modification time (default: now)
+     * @returns {Promise<number>} - CRC-32 of the contents
+     */
+    async addFile(name, blob, modifiedAt = new Date()) {
+        const nameBytes = this.encoder.encode(name);
+        const crc = await Zip.crc32(blob);
+        const { time, date } = Zip.toDosDateTime(modifiedAt);
+        const localHeaderOffset = this.offset;
+
+        if (localHeaderOffset + 30 + nameBytes.length + blob.size > 0xFFFFFFFF) {
+            throw new Error('Backup is larger than 4GB, which the archive format does not support');
+        }
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);    // Local file header signature
+        header.setUint16(4, 20, true);            // Version needed to extract
+        header.setUint16(6, 0x0800, true);        // Flags: UTF-8 file names
+        header.setUint16(8, 0, true);             // Compression: stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, blob.size, true);    // Compressed size
+        header.setUint32(22, blob.size, true);    // Uncompressed size
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);            // Extra field length
+
+        await this.write(new Uint8Array(header.buffer));
+        await this.write(nameBytes);
+        await this.write(blob);
+
+        this.entries.push({ nameBytes, crc, size: blob.size, time, date, localHeaderOffset });
+        return crc;
+    }
+
+    async addText(name, text) {
+        await this.addFile(name, new Blob([text], { type: 'text/plain' }));
+    }
+
+    /**
+     * Write the central directory and close the archive
+     * @returns {Promise<Blob|null>} - The archive, or null when written to a stream
+     */
+    async finish() {
+        const centralDirectoryOffset = this.offset;
+
+        for (const entry of this.entries) {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);    // Central directory header signature
+            record.setUint16(4, 20, true);            // Version made by
+            record.setUint16(6, 20, true);            // Version needed to extract
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint32(42, entry.localHeaderOffset, true);
+
+            await this.write(new Uint8Array(record.buffer));
+            await this.write(entry.nameBytes);
+        }
+
+        const centralDirectorySize = this.offset - centralDirectoryOffset;
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);           // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralDirectorySize, true);
+        end.setUint32(16, centralDirectoryOffset, true);
+        await this.write(new Uint8Array(end.buffer));
+
+        if (this.writable) {
+            await this.writable.close();
+            return null;
+        }
+
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+}
+
+class ZipReader {
+    /**
+     * @param {Blob} blob - ZIP archive; entries are sliced from it lazily
+     */
+    constructor(blob) {
+        this.blob = blob;
+        this.entries = new Map();
+        this.decoder = new TextDecoder();
+    }
+
+    async open() {
+        // The end of central directory record sits in the last 22 bytes plus an optional comment
+        const tailSize = Math.min(this.blob.size, 22 + 0xFFFF);
+        const tail = new DataView(await this.blob.slice(this.blob.size - tailSize).arrayBuffer());
+
+        let endOffset = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+
+        if (endOffset === -1) {
+            throw new Error('Not a valid ZIP archive');
+        }
+
+        const entryCount = tail.getUint16(endOffset + 10, true);
+        const directorySize = tail.getUint32(endOffset + 12, true);
+        const directoryOffset = tail.getUint32(endOffset + 16, true);
+
+        const directory = new DataView(
+            await this.blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer()
+        );
+
+        let position = 0;
+        for (let i = 0; i < entryCount; i++) {
+            if (directory.getUint32(position, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const nameLength = directory.getUint16(position + 28, true);
+            const extraLength = directory.getUint16(position + 30, true);
+            const commentLength = directory.getUint16(position + 32, true);
+            const name = this.decoder.decode(
+                new Uint8Array(directory.buffer, position + 46, nameLength)
+            );
+
+            this.entries.set(name, {
+                name,
+                method: directory.getUint16(position + 10, true),
+                compressedSize: directory.getUint32(position + 20, true),
+                size: directory.getUint32(position + 24, true),
+                localHeaderOffset: directory.getUint32(position + 42, true)
+            });
+
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return this;
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * Get an entry's contents
+     * @param {string} name - Path inside the archive
+     * @param {string} type - MIME type for the returned blob
+     * @returns {Promise<Blob>} - Entry contents
+     */
+    async getBlob(name, type = '') {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Missing file in archive: ${name}`);
+        }
+
+        // Local headers can carry a different extra field than the central directory
+        const header = new DataView(
+            await this.blob.slice(entry.localHeaderOffset, entry.localHeaderOffset + 30).arrayBuffer()
+        );
+        const dataOffset = entry.localHeaderOffset + 30 +
+            header.getUint16(26, true) + header.getUint16(28, true);
+        const data = this.blob.slice(dataOffset, dataOffset + entry.compressedSize, type);
+
+        if (entry.method === 0) {
+            return data;
+        }
+
+        if (entry.method === 8 && typeof DecompressionStream !== 'undefined') {
+            const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            const inflated = await new Response(stream).blob();
+            return new Blob([inflated], { type });
+        }
+
+        throw new Error(`Unsupported compression in archive entry: ${name}`);
+    }
+
+    async getText(name) {
+        const blob = await this.getBlob(name);
+        return this.decoder.decode(await blob.arrayBuffer());
+    }
+}
+
+// Export ZIP helpers for use in other modules
+window.Zip = Zip;
+window.ZipWriter = ZipWriter;
+window.ZipReader = ZipReader;